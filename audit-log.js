@@ -0,0 +1,240 @@
+/**
+ * Audit Log - catatan setiap tambah, ubah dan hapus data customer
+ *
+ * Entri ditulis ke tab CONFIG.AUDIT_SHEET_NAME (atau penyimpanan adapter lokal/memory) berisi
+ * waktu, email user yang login, aksi, nomor baris, nama customer, dan nilai sebelum/sesudah
+ * dalam bentuk JSON. Untuk aksi ubah, hanya field yang berubah yang dicatat.
+ *
+ * Gagal mencatat audit tidak membatalkan perubahan data; entri yang gagal dikirim disimpan
+ * di memori dan dikirim ulang bersama entri berikutnya.
+ */
+
+const AUDIT_FIELDS = ['waktu', 'user', 'aksi', 'baris', 'nama', 'sebelum', 'sesudah'];
+
+const AuditLog = {
+    ACTIONS: {
+        create: 'Tambah',
+        update: 'Ubah',
+        delete: 'Hapus',
+        restore: 'Pulihkan',
+        purge: 'Hapus Permanen'
+    },
+
+    dataSource: null,
+    schema: null,
+    readyPromise: null,
+    pending: [],
+    getUser: () => '',
+
+    init(config, { getUser } = {}) {
+        this.dataSource = createDataSource(config, {
+            sheetName: config.AUDIT_SHEET_NAME,
+            defaultRows: [this.defaultHeader()]
+        });
+        if (getUser) this.getUser = getUser;
+    },
+
+    defaultHeader() {
+        return AUDIT_FIELDS.map(field => field.toUpperCase());
+    },
+
+    // Tab dibuat dan header dibaca sekali; diulang jika sebelumnya gagal
+    ready() {
+        if (!this.readyPromise) {
+            this.readyPromise = (async () => {
+                await this.dataSource.ensureSheet(this.defaultHeader());
+                const header = await this.dataSource.get(1);
+                this.schema = new SheetSchema(header, {}, AUDIT_FIELDS);
+            })();
+            this.readyPromise.catch(() => {
+                this.readyPromise = null;
+            });
+        }
+        return this.readyPromise;
+    },
+
+    /**
+     * Field yang berbeda antara dua record. Untuk tambah/hapus, semua field yang berisi.
+     */
+    diff(before, after) {
+        const fields = CUSTOMER_FIELDS.filter(field =>
+            before && after
+                ? (before[field] || '') !== (after[field] || '')
+                : ((before || after)[field] || '') !== ''
+        );
+        const pick = record => record
+            ? Object.fromEntries(fields.map(field => [field, record[field] || '']))
+            : null;
+        return { before: pick(before), after: pick(after) };
+    },
+
+    entry(action, before, after) {
+        const { before: oldValues, after: newValues } = this.diff(before, after);
+        const record = after || before;
+        return {
+            waktu: new Date().toISOString(),
+            user: this.getUser() || 'tidak diketahui',
+            aksi: action,
+            baris: record.id ? String(record.id) : '',
+            nama: record.nama || '',
+            sebelum: oldValues ? JSON.stringify(oldValues) : '',
+            sesudah: newValues ? JSON.stringify(newValues) : ''
+        };
+    },
+
+    /**
+     * Catat beberapa perubahan sekaligus.
+     * @param {'create'|'update'|'delete'|'restore'|'purge'} action
+     * @param {{ before: Object|null, after: Object|null }[]} changes
+     */
+    async record(action, changes) {
+        const entries = changes
+            .map(({ before, after }) => this.entry(action, before, after))
+            .filter(entry => action !== 'update' || entry.sesudah !== '{}');
+        this.pending.push(...entries);
+        if (this.pending.length === 0) return;
+
+        const batch = this.pending;
+        this.pending = [];
+        try {
+            await this.ready();
+            await this.dataSource.createMany(batch.map(entry => this.schema.toRow(entry)));
+        } catch (error) {
+            console.warn('⚠️ Audit log belum tercatat, akan dikirim ulang:', error.message);
+            this.pending = batch.concat(this.pending);
+        }
+    },
+
+    /**
+     * Semua entri, terbaru di atas. Nilai sebelum/sesudah dikembalikan sebagai objek.
+     */
+    async list() {
+        UserAccess.assert('audit');
+        await this.ready();
+        const rows = await this.dataSource.list();
+        const parse = text => {
+            try {
+                return text ? JSON.parse(text) : null;
+            } catch (error) {
+                return { nilai: text };
+            }
+        };
+
+        return rows.slice(1)
+            .map((row, index) => this.schema.toRecord(row, index + 2))
+            .filter(entry => entry.waktu)
+            .map(entry => ({ ...entry, sebelum: parse(entry.sebelum), sesudah: parse(entry.sesudah) }))
+            .reverse();
+    }
+};
+
+/**
+ * Modal riwayat perubahan dengan filter customer, user dan tanggal.
+ */
+const AuditViewer = {
+    entries: [],
+    LIMIT: 300,
+
+    attach() {
+        const bind = (id, event, handler) => {
+            const element = document.getElementById(id);
+            if (element) element.addEventListener(event, handler);
+        };
+        bind('auditBtn', 'click', () => this.open());
+        bind('closeAuditModal', 'click', () => this.close());
+        ['auditCustomer', 'auditUser', 'auditFrom', 'auditTo'].forEach(id => {
+            bind(id, 'input', () => this.render());
+        });
+    },
+
+    async open() {
+        document.getElementById('auditModal').classList.add('show');
+        const list = document.getElementById('auditList');
+        SafeHtml.render(list, html`<p class="import-note">Memuat riwayat...</p>`);
+
+        try {
+            this.entries = await AuditLog.list();
+        } catch (error) {
+            console.error('❌ Audit log error:', error);
+            SafeHtml.render(list, html`<p class="import-row-error">Gagal memuat riwayat: ${error.message}</p>`);
+            return;
+        }
+
+        const users = document.getElementById('auditUser');
+        const current = users.value;
+        users.innerHTML = '';
+        users.appendChild(new Option('Semua user', ''));
+        [...new Set(this.entries.map(entry => entry.user))].sort()
+            .forEach(user => users.appendChild(new Option(user, user)));
+        users.value = current;
+        this.render();
+    },
+
+    close() {
+        document.getElementById('auditModal').classList.remove('show');
+    },
+
+    filtered() {
+        const customer = document.getElementById('auditCustomer').value.trim().toLowerCase();
+        const user = document.getElementById('auditUser').value;
+        const from = document.getElementById('auditFrom').value;
+        const to = document.getElementById('auditTo').value;
+
+        return this.entries.filter(entry => {
+            // Tanggal dibandingkan dalam waktu lokal, sama dengan input tanggal
+            const day = CustomerValidation.localDate(new Date(entry.waktu));
+            return (!customer || entry.nama.toLowerCase().includes(customer) || entry.baris === customer) &&
+                (!user || entry.user === user) &&
+                (!from || day >= from) &&
+                (!to || day <= to);
+        });
+    },
+
+    describeChanges(entry) {
+        const fields = Object.keys(entry.sesudah || entry.sebelum || {});
+        return fields.map(field => {
+            const label = CUSTOMER_FIELD_LABELS[field] || field;
+            const before = entry.sebelum ? entry.sebelum[field] : null;
+            const after = entry.sesudah ? entry.sesudah[field] : null;
+            if (before !== null && after !== null) {
+                return html`<li><strong>${label}</strong>: <del>${before || '(kosong)'}</del> → ${after || '(kosong)'}</li>`;
+            }
+            return html`<li><strong>${label}</strong>: ${after !== null ? after : before}</li>`;
+        });
+    },
+
+    render() {
+        const list = document.getElementById('auditList');
+        const entries = this.filtered();
+        if (entries.length === 0) {
+            SafeHtml.render(list, html`<p class="import-note">Tidak ada riwayat yang cocok.</p>`);
+            return;
+        }
+
+        const shown = entries.slice(0, this.LIMIT);
+        SafeHtml.render(list, html`
+            ${entries.length > shown.length && html`<p class="import-note">Menampilkan ${shown.length} dari ${entries.length} entri terbaru.</p>`}
+            <table class="import-table">
+                <thead>
+                    <tr><th>Waktu</th><th>User</th><th>Aksi</th><th>Customer</th><th>Perubahan</th></tr>
+                </thead>
+                <tbody>
+                    ${shown.map(entry => html`
+                        <tr>
+                            <td>${new Date(entry.waktu).toLocaleString('id-ID')}</td>
+                            <td>${entry.user}</td>
+                            <td>${AuditLog.ACTIONS[entry.aksi] || entry.aksi}</td>
+                            <td>${entry.nama} <small>baris ${entry.baris}</small></td>
+                            <td><ul class="audit-changes">${this.describeChanges(entry)}</ul></td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        `);
+    }
+};
+
+// Dipakai juga oleh server/proxy-server.js (Node)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AuditLog, AUDIT_FIELDS };
+}
@@ -0,0 +1,273 @@
+/**
+ * Auth Session - access token OAuth untuk menulis ke Google Sheets
+ *
+ * Tombol Google Sign-In hanya menghasilkan ID token (identitas user), yang tidak bisa dipakai
+ * untuk Sheets API. Access token dengan scope CONFIG.SCOPES diminta lewat token client
+ * Google Identity Services (google.accounts.oauth2.initTokenClient):
+ * - masa berlaku dicatat dan token diperbarui diam-diam beberapa menit sebelum habis
+ * - request tulis yang ditolak 401 memperbarui token lalu diulang sekali (data-sources.js)
+ * - jika token tidak bisa diperbarui tanpa interaksi (mis. popup diblokir), status sesi
+ *   menjadi "berakhir" dan banner meminta user masuk lagi lewat tombol
+ *
+ * Token disimpan di sessionStorage supaya reload halaman tidak langsung meminta izin ulang.
+ *
+ * Dengan DATA_SOURCE 'proxy' access token tidak dibutuhkan: server memvalidasi ID token
+ * Sign-In sendiri (mode 'id-token'). Sesi berakhir saat server menolak ID token dan tombol
+ * "Masuk lagi" meminta ID token baru lewat One Tap.
+ */
+
+const AuthSession = {
+    STORAGE_KEY: 'oauthToken',
+    REFRESH_MARGIN_MS: 5 * 60 * 1000, // perbarui 5 menit sebelum token habis
+    MIN_VALIDITY_MS: 30 * 1000, // token yang tersisa kurang dari ini dianggap sudah habis
+
+    tokenClient: null,
+    token: null, // { access_token, expiresAt }
+    email: '',
+    refreshTimer: null,
+    pendingRequest: null, // { promise, resolve, reject } selama popup/permintaan token berjalan
+    mode: 'oauth', // 'oauth' (Sheets langsung) | 'id-token' (DATA_SOURCE 'proxy')
+    state: 'signed-out', // 'signed-out' | 'active' | 'refreshing' | 'expired'
+    stateDetail: {},
+    listeners: [],
+
+    /**
+     * Dipanggil saat library GIS selesai dimuat.
+     */
+    init(config) {
+        this.tokenClient = google.accounts.oauth2.initTokenClient({
+            client_id: config.CLIENT_ID,
+            scope: config.SCOPES,
+            callback: response => this.handleTokenResponse(response),
+            error_callback: error => this.handleTokenError(error)
+        });
+        console.log('✅ OAuth token client initialized');
+    },
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    },
+
+    setState(state, detail = {}) {
+        this.state = state;
+        this.stateDetail = detail;
+        this.listeners.forEach(listener => listener(state, detail));
+    },
+
+    /**
+     * Mulai sesi setelah user login dengan Google Sign-In. Token tersimpan dipakai jika masih berlaku.
+     */
+    start(email) {
+        this.mode = 'oauth';
+        this.email = email || '';
+        if (this.restore()) return Promise.resolve(this.token.access_token);
+        if (!this.tokenClient) {
+            // Reload halaman setelah token habis: GIS belum dimuat, user diminta masuk lagi lewat banner
+            this.expire('Token akses sudah habis.');
+            return Promise.resolve(null);
+        }
+        return this.refresh({ interactive: true }).catch(error => {
+            console.warn('⚠️ Access token belum didapat:', error.message);
+        });
+    },
+
+    /**
+     * Mulai sesi mode proxy. Aktif sampai server menolak ID token (lihat ProxyDataSource).
+     */
+    startWithIdToken(email) {
+        clearTimeout(this.refreshTimer);
+        this.mode = 'id-token';
+        this.email = email || '';
+        this.setState('active');
+    },
+
+    restore() {
+        try {
+            const saved = JSON.parse(sessionStorage.getItem(this.STORAGE_KEY) || 'null');
+            if (saved && saved.access_token && saved.expiresAt - Date.now() > this.MIN_VALIDITY_MS) {
+                this.setToken(saved);
+                console.log('🔑 Access token dipulihkan, berlaku sampai', new Date(saved.expiresAt).toLocaleTimeString('id-ID'));
+                return true;
+            }
+        } catch (error) {
+            console.warn('⚠️ Token tersimpan tidak bisa dibaca:', error.message);
+        }
+        sessionStorage.removeItem(this.STORAGE_KEY);
+        return false;
+    },
+
+    setToken(token) {
+        this.token = token;
+        sessionStorage.setItem(this.STORAGE_KEY, JSON.stringify(token));
+        if (typeof gapi !== 'undefined' && gapi.client && gapi.client.setToken) {
+            gapi.client.setToken({ access_token: token.access_token });
+        }
+        this.scheduleRefresh();
+        this.setState('active', { expiresAt: token.expiresAt });
+    },
+
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        const delay = Math.max(0, this.token.expiresAt - Date.now() - this.REFRESH_MARGIN_MS);
+        this.refreshTimer = setTimeout(() => {
+            this.refresh().catch(error => {
+                console.warn('⚠️ Perpanjangan token otomatis gagal:', error.message);
+            });
+        }, delay);
+    },
+
+    isValid() {
+        return Boolean(this.token) && this.token.expiresAt - Date.now() > this.MIN_VALIDITY_MS;
+    },
+
+    /**
+     * Access token yang masih berlaku, diperbarui lebih dulu jika hampir habis.
+     * @returns {Promise<string>}
+     */
+    async getAccessToken() {
+        if (this.isValid()) return this.token.access_token;
+        return this.refresh();
+    },
+
+    /**
+     * Minta access token baru. Tanpa interactive, GIS tidak menampilkan layar persetujuan
+     * (prompt 'none'); jika gagal, sesi ditandai berakhir.
+     * @returns {Promise<string>}
+     */
+    refresh({ interactive = false } = {}) {
+        if (this.pendingRequest) return this.pendingRequest.promise;
+        if (!this.tokenClient) {
+            return Promise.reject(this.expire('Google Identity Services belum siap.'));
+        }
+
+        let resolve;
+        let reject;
+        const promise = new Promise((res, rej) => {
+            resolve = res;
+            reject = rej;
+        });
+        this.pendingRequest = { promise, resolve, reject, interactive };
+        this.setState('refreshing');
+
+        this.tokenClient.requestAccessToken({
+            prompt: interactive ? '' : 'none',
+            login_hint: this.email || undefined
+        });
+        return promise;
+    },
+
+    /**
+     * Dipanggil tombol "Masuk lagi". Di mode proxy sesi aktif kembali setelah One Tap
+     * menghasilkan ID token baru (handleCredentialResponse -> startWithIdToken).
+     */
+    reauthenticate() {
+        if (this.mode === 'id-token') {
+            google.accounts.id.prompt();
+            return Promise.resolve(null);
+        }
+        return this.refresh({ interactive: true });
+    },
+
+    handleTokenResponse(response) {
+        const pending = this.pendingRequest;
+        this.pendingRequest = null;
+
+        if (response.error || !google.accounts.oauth2.hasGrantedAllScopes(response, CONFIG.SCOPES)) {
+            const error = this.expire(response.error_description || response.error || 'Izin akses Google Sheets tidak diberikan.');
+            if (pending) pending.reject(error);
+            return;
+        }
+
+        this.setToken({
+            access_token: response.access_token,
+            expiresAt: Date.now() + Number(response.expires_in) * 1000
+        });
+        console.log('🔑 Access token diperbarui, berlaku sampai', new Date(this.token.expiresAt).toLocaleTimeString('id-ID'));
+        if (pending) pending.resolve(response.access_token);
+    },
+
+    // Popup ditutup, diblokir browser, atau gagal dibuka
+    handleTokenError(error) {
+        const pending = this.pendingRequest;
+        this.pendingRequest = null;
+        const reasons = {
+            popup_closed: 'Jendela login ditutup.',
+            popup_failed_to_open: 'Popup login diblokir browser.'
+        };
+        const sessionError = this.expire((error && reasons[error.type]) || 'Login ulang dibutuhkan.');
+        if (pending) pending.reject(sessionError);
+    },
+
+    /**
+     * Tandai sesi berakhir dan kembalikan error yang jelas untuk ditampilkan ke user.
+     */
+    expire(reason) {
+        clearTimeout(this.refreshTimer);
+        this.token = null;
+        sessionStorage.removeItem(this.STORAGE_KEY);
+        if (typeof gapi !== 'undefined' && gapi.client && gapi.client.setToken) {
+            gapi.client.setToken(null);
+        }
+        this.setState('expired', { reason });
+
+        const error = new Error(`Sesi login berakhir: ${reason} Klik "Masuk lagi" lalu ulangi perubahan.`);
+        error.sessionExpired = true;
+        return error;
+    },
+
+    /**
+     * Cabut izin access token di Google saat logout, supaya token yang mungkin tersalin
+     * tidak bisa dipakai lagi walau belum kedaluwarsa.
+     */
+    revoke() {
+        const accessToken = this.token && this.token.access_token;
+        if (!accessToken || typeof google === 'undefined' || !google.accounts || !google.accounts.oauth2) return;
+        google.accounts.oauth2.revoke(accessToken, () => {
+            console.log('🔒 Access token dicabut');
+        });
+    },
+
+    /**
+     * Hapus token saat sign-out.
+     */
+    clear() {
+        clearTimeout(this.refreshTimer);
+        this.token = null;
+        this.email = '';
+        sessionStorage.removeItem(this.STORAGE_KEY);
+        if (this.pendingRequest) {
+            this.pendingRequest.reject(new Error('Sudah logout.'));
+            this.pendingRequest = null;
+        }
+        this.setState('signed-out');
+    }
+};
+
+/**
+ * Banner status sesi: tampil saat token sedang diminta ulang atau sesi berakhir.
+ */
+const SessionBanner = {
+    attach() {
+        const button = document.getElementById('sessionReauthBtn');
+        if (button) {
+            button.addEventListener('click', () => {
+                AuthSession.reauthenticate().catch(error => {
+                    console.warn('⚠️ Login ulang gagal:', error.message);
+                });
+            });
+        }
+        AuthSession.onChange((state, detail) => this.render(state, detail));
+        this.render(AuthSession.state, AuthSession.stateDetail);
+    },
+
+    render(state, detail) {
+        const banner = document.getElementById('sessionBanner');
+        if (!banner) return;
+
+        banner.hidden = state !== 'expired';
+        if (state === 'expired') {
+            banner.querySelector('.session-text').textContent =
+                `Sesi login berakhir: ${detail.reason} Perubahan tidak bisa disimpan sampai Anda masuk lagi.`;
+        }
+    }
+};
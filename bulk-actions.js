@@ -0,0 +1,161 @@
+/**
+ * Bulk Actions - aksi massal untuk baris yang dipilih di tabel customer
+ *
+ * Pilihan disimpan di googleSheetsIntegration.selection (Set id record) sehingga tetap
+ * ada saat pindah halaman. Setiap aksi dikirim sebagai satu request batch ke data source,
+ * didahului ringkasan konfirmasi dan diakhiri satu laporan gabungan.
+ */
+
+const BulkActions = {
+    integration: null,
+
+    // Select perubahan di bulk bar: id elemen -> field record
+    UPDATE_FIELDS: {
+        bulkSales: 'nama_sales',
+        bulkVisit: 'visit',
+        bulkStatus: 'status'
+    },
+
+    // Batas nama yang ditampilkan di ringkasan konfirmasi
+    SUMMARY_LIMIT: 5,
+
+    attach(integration) {
+        this.integration = integration;
+
+        const bind = (id, handler) => {
+            const element = document.getElementById(id);
+            if (element) element.addEventListener('click', () => handler.call(this));
+        };
+        bind('bulkApply', this.applyChanges);
+        bind('bulkDelete', this.deleteSelected);
+        bind('bulkWhatsApp', () => integration.openWhatsApp(integration.getSelectedRecords().map(record => record.id)));
+        bind('bulkSelectAll', () => integration.selectAllResults());
+        bind('bulkClear', () => integration.clearSelection());
+
+        document.querySelectorAll('[data-bulk-export]').forEach(button => {
+            button.addEventListener('click', () => this.exportSelected(button.dataset.bulkExport));
+        });
+    },
+
+    /**
+     * Isi pilihan sales dari daftar sales aktif.
+     */
+    updateOptions(salesNames) {
+        const select = document.getElementById('bulkSales');
+        if (!select) return;
+
+        const current = select.value;
+        const placeholder = select.options[0] ? select.options[0].textContent : 'Sales';
+        select.innerHTML = '';
+        select.appendChild(new Option(placeholder, ''));
+        salesNames.forEach(name => select.appendChild(new Option(name, name)));
+        select.value = current;
+    },
+
+    render(selectedCount, totalResults) {
+        const bar = document.getElementById('bulkBar');
+        if (bar) {
+            bar.classList.toggle('show', selectedCount > 0);
+        }
+
+        const selectAll = document.getElementById('bulkSelectAll');
+        if (selectAll) {
+            selectAll.textContent = `Pilih semua ${totalResults.toLocaleString('id-ID')} hasil`;
+            selectAll.style.display = selectedCount < totalResults ? '' : 'none';
+        }
+    },
+
+    collectChanges() {
+        const changes = {};
+        Object.entries(this.UPDATE_FIELDS).forEach(([elementId, field]) => {
+            const select = document.getElementById(elementId);
+            if (select && select.value) changes[field] = select.value;
+        });
+        return changes;
+    },
+
+    resetControls() {
+        Object.keys(this.UPDATE_FIELDS).forEach(elementId => {
+            const select = document.getElementById(elementId);
+            if (select) select.value = '';
+        });
+    },
+
+    describeRecords(records) {
+        const names = records.slice(0, this.SUMMARY_LIMIT).map(record => `- ${record.nama || `Baris ${record.id}`}`);
+        if (records.length > this.SUMMARY_LIMIT) {
+            names.push(`- dan ${records.length - this.SUMMARY_LIMIT} lainnya`);
+        }
+        return names.join('\n');
+    },
+
+    async applyChanges() {
+        const integration = this.integration;
+        const records = integration.getSelectedRecords();
+        const changes = this.collectChanges();
+        if (records.length === 0) return;
+        if (Object.keys(changes).length === 0) {
+            integration.showWarning('Pilih sales, status visit, atau status yang ingin diterapkan.');
+            return;
+        }
+
+        // Baris yang nilainya sudah sama tidak perlu ditulis ulang
+        const targets = records.filter(record =>
+            Object.entries(changes).some(([field, value]) => record[field] !== value)
+        );
+        const skipped = records.length - targets.length;
+        if (targets.length === 0) {
+            integration.showMessage('Semua data terpilih sudah memiliki nilai tersebut.', 'info');
+            return;
+        }
+
+        const summary = Object.entries(changes)
+            .map(([field, value]) => `- ${integration.schema.label(field)} → ${value}`)
+            .join('\n');
+        const message = `Ubah ${targets.length} data:\n${summary}\n\n${this.describeRecords(targets)}` +
+            (skipped ? `\n\n${skipped} data dilewati karena nilainya sudah sama.` : '') +
+            '\n\nLanjutkan?';
+        if (!confirm(message)) return;
+
+        try {
+            await integration.updateRecords(targets.map(record =>
+                CustomerValidation.stampVisitDate({ ...record, ...changes }, record)));
+            const report = `${targets.length} data berhasil diperbarui` + (skipped ? `, ${skipped} dilewati` : '');
+            integration.showMessage(integration.writeSuccessMessage(report), 'success');
+            this.resetControls();
+            integration.clearSelection();
+            integration.refreshData();
+        } catch (error) {
+            console.error('❌ Bulk update error:', error);
+            integration.showError(`Gagal memperbarui ${targets.length} data: ${error.message}`);
+        }
+    },
+
+    async deleteSelected() {
+        const integration = this.integration;
+        const records = integration.getSelectedRecords();
+        if (records.length === 0) return;
+
+        const message = `Hapus ${records.length} data berikut?\n${this.describeRecords(records)}\n\nData dipindah ke tempat sampah dan masih bisa dipulihkan.`;
+        if (!confirm(message)) return;
+
+        try {
+            const entries = await integration.deleteRecords(records);
+            integration.showUndo(integration.writeSuccessMessage(`${records.length} data dipindah ke tempat sampah`), entries);
+            integration.clearSelection();
+            integration.refreshData();
+        } catch (error) {
+            console.error('❌ Bulk delete error:', error);
+            integration.showError(`Gagal menghapus ${records.length} data: ${error.message}`);
+        }
+    },
+
+    exportSelected(format = 'csv') {
+        const integration = this.integration;
+        const records = integration.getSelectedRecords();
+        if (records.length === 0) return;
+
+        CustomerExport.downloadAs(format, records, integration.schema, 'calon-pelanggan-terpilih');
+        integration.showMessage(`${records.length} data diekspor ke ${format.toUpperCase()}`, 'success');
+    }
+};
@@ -0,0 +1,108 @@
+/**
+ * Conflict Dialog - menampilkan perbedaan per field saat data di sheet berubah
+ * setelah modal edit dibuka, dan membiarkan user memilih nilai mana yang disimpan.
+ */
+
+const ConflictDialog = {
+    /**
+     * @param {Object} options
+     * @param {Object} options.snapshot Record saat modal edit dibuka
+     * @param {Object|null} options.current Record di sheet sekarang (null jika baris sudah hilang)
+     * @param {Object} options.updated Record hasil edit user
+     * @param {string[]} options.fields Field yang dibandingkan
+     * @param {Object} options.labels Label tampilan per field
+     * @param {string|null} options.problem Pesan jika baris tidak bisa digabung (dihapus/bergeser)
+     * @returns {Promise<Object|string|null>} Record gabungan, 'reload', atau null jika dibatalkan
+     */
+    resolve({ snapshot, current, updated, fields, labels, problem = null }) {
+        return new Promise(resolve => {
+            const modal = document.getElementById('conflictModal');
+            const body = document.getElementById('conflictBody');
+            const saveBtn = document.getElementById('conflictSaveBtn');
+            const reloadBtn = document.getElementById('conflictReloadBtn');
+            const cancelBtn = document.getElementById('conflictCancelBtn');
+
+            if (!modal || !body) {
+                // Tanpa dialog, lebih aman tidak menimpa data orang lain
+                resolve(confirm('Data ini sudah diubah orang lain. Muat ulang data?') ? 'reload' : null);
+                return;
+            }
+
+            if (problem) {
+                SafeHtml.render(body, html`
+                    <p class="conflict-problem"><i class="fas fa-exclamation-triangle"></i> ${problem}</p>
+                    <p>Perubahan Anda tidak disimpan. Muat ulang data lalu ulangi edit pada baris yang benar.</p>
+                `);
+                saveBtn.style.display = 'none';
+            } else {
+                const rows = fields
+                    .filter(field => snapshot[field] !== current[field] || updated[field] !== current[field])
+                    .map(field => {
+                        const theirsChanged = snapshot[field] !== current[field];
+                        const mineChanged = snapshot[field] !== updated[field];
+                        // Default: nilai Anda jika Anda mengubahnya, selain itu nilai terbaru di sheet
+                        const pickMine = mineChanged;
+                        return html`
+                            <tr class="${theirsChanged && mineChanged ? 'conflict-both' : ''}">
+                                <td><strong>${labels[field] || field}</strong></td>
+                                <td class="conflict-original">${snapshot[field]}</td>
+                                <td>
+                                    <label>
+                                        <input type="radio" name="conflict-${field}" value="theirs" ${pickMine ? '' : 'checked'} />
+                                        ${current[field]}
+                                    </label>
+                                </td>
+                                <td>
+                                    <label>
+                                        <input type="radio" name="conflict-${field}" value="mine" ${pickMine ? 'checked' : ''} />
+                                        ${updated[field]}
+                                    </label>
+                                </td>
+                            </tr>
+                        `;
+                    });
+
+                SafeHtml.render(body, html`
+                    <p>Data ini sudah diubah orang lain sejak Anda membuka form edit. Pilih nilai yang ingin disimpan untuk setiap field.</p>
+                    <table class="conflict-table">
+                        <thead>
+                            <tr>
+                                <th>Field</th>
+                                <th>Nilai Awal</th>
+                                <th>Di Sheet Sekarang</th>
+                                <th>Perubahan Anda</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                `);
+                saveBtn.style.display = '';
+            }
+
+            const finish = result => {
+                modal.classList.remove('show');
+                saveBtn.removeEventListener('click', onSave);
+                reloadBtn.removeEventListener('click', onReload);
+                cancelBtn.removeEventListener('click', onCancel);
+                resolve(result);
+            };
+
+            const onSave = () => {
+                const merged = { ...current };
+                fields.forEach(field => {
+                    const choice = body.querySelector(`input[name="conflict-${CSS.escape(field)}"]:checked`);
+                    merged[field] = choice && choice.value === 'mine' ? updated[field] : current[field];
+                });
+                finish(merged);
+            };
+            const onReload = () => finish('reload');
+            const onCancel = () => finish(null);
+
+            saveBtn.addEventListener('click', onSave);
+            reloadBtn.addEventListener('click', onReload);
+            cancelBtn.addEventListener('click', onCancel);
+
+            modal.classList.add('show');
+        });
+    }
+};
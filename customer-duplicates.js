@@ -0,0 +1,380 @@
+/**
+ * Customer Duplicates - deteksi calon pelanggan ganda
+ *
+ * Dua record dianggap duplikat jika nomor teleponnya sama setelah dinormalisasi
+ * (PhoneUtils), atau nama dan alamatnya sangat mirip (koefisien Dice atas bigram huruf).
+ */
+
+const CustomerDuplicates = {
+    NAME_THRESHOLD: 0.85,
+    ADDRESS_THRESHOLD: 0.8,
+
+    // Field teks panjang yang digabung (bukan dipilih salah satu) saat merge
+    CONCAT_FIELDS: ['keterangan', 'keterangan_tambahan'],
+    CONCAT_SEPARATOR: ' | ',
+
+    REASON_LABELS: {
+        phone: 'Nomor telepon sama',
+        name: 'Nama dan alamat mirip'
+    },
+
+    normalizeText(value) {
+        return String(value || '')
+            .toLowerCase()
+            .replace(/\b(jl|jln|jalan|no|nomor|rt|rw|gg|gang|bpk|bapak|ibu|ny|sdr)\b\.?/g, ' ')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    },
+
+    // Bigram disimpan sebagai kode angka terurut agar perbandingan cukup satu kali jalan
+    bigrams(text) {
+        const compact = text.replace(/ /g, '');
+        const codes = new Int32Array(Math.max(compact.length - 1, 0));
+        for (let i = 0; i < codes.length; i++) {
+            codes[i] = compact.charCodeAt(i) * 65536 + compact.charCodeAt(i + 1);
+        }
+        return codes.sort();
+    },
+
+    /**
+     * Koefisien Dice: 1 = identik, 0 = tidak ada bigram yang sama.
+     */
+    dice(a, b) {
+        if (!a.length || !b.length) return 0;
+        let shared = 0;
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                shared++;
+                i++;
+                j++;
+            } else if (a[i] < b[j]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+        return (2 * shared) / (a.length + b.length);
+    },
+
+    // Dice tidak mungkin mencapai threshold jika panjang kedua teks terlalu berbeda
+    sizesCompatible(a, b, threshold) {
+        const min = Math.min(a.length, b.length);
+        return (2 * min) / (a.length + b.length) >= threshold;
+    },
+
+    /**
+     * Bentuk ternormalisasi record, dihitung sekali per record.
+     */
+    fingerprint(record) {
+        const name = this.normalizeText(record.nama);
+        const address = this.normalizeText(record.alamat);
+        return {
+            record,
+            phone: PhoneUtils.normalize(record.no_telepon),
+            name,
+            address,
+            // Nomor rumah/RT: alamat dengan angka berbeda bukan rumah yang sama
+            addressNumbers: (address.match(/\d+/g) || []).join(' '),
+            nameGrams: this.bigrams(name),
+            addressGrams: this.bigrams(address)
+        };
+    },
+
+    /**
+     * @returns {'phone'|'name'|null} Alasan dua record dianggap duplikat
+     */
+    compare(a, b) {
+        if (a.phone && a.phone === b.phone) return 'phone';
+        if (!a.name || !b.name || !a.address || !b.address) return null;
+        if (a.addressNumbers !== b.addressNumbers) return null;
+        if (!this.sizesCompatible(a.nameGrams, b.nameGrams, this.NAME_THRESHOLD) ||
+            !this.sizesCompatible(a.addressGrams, b.addressGrams, this.ADDRESS_THRESHOLD)) {
+            return null;
+        }
+        if (this.dice(a.nameGrams, b.nameGrams) < this.NAME_THRESHOLD) return null;
+        return this.dice(a.addressGrams, b.addressGrams) >= this.ADDRESS_THRESHOLD ? 'name' : null;
+    },
+
+    /**
+     * Record di daftar yang kemungkinan sama dengan record (untuk peringatan di form).
+     * @returns {{ record: Object, reason: string }[]}
+     */
+    findMatches(record, records, excludeId = null) {
+        return this.searchIndex(record, this.buildIndex(records), excludeId);
+    },
+
+    /**
+     * Fingerprint semua record untuk searchIndex. Record yang tidak boleh dilihat user (mis. milik
+     * sales lain) hanya menyimpan nomor baris dan nama sales, jadi hasil pencarian tidak membuka isinya.
+     */
+    buildIndex(records, isVisible = () => true) {
+        return records.map(record => {
+            const print = this.fingerprint(record);
+            if (!isVisible(record)) {
+                print.record = { id: record.id, nama_sales: record.nama_sales, hidden: true };
+            }
+            return print;
+        });
+    },
+
+    searchIndex(record, index, excludeId = null) {
+        const target = this.fingerprint(record);
+        return index
+            .filter(print => print.record.id !== excludeId)
+            .map(print => ({ record: print.record, reason: this.compare(target, print) }))
+            .filter(match => match.reason);
+    },
+
+    /**
+     * Kelompokkan record yang saling duplikat. Perbandingan nama hanya dilakukan di dalam
+     * blok dengan awalan nama yang sama agar tetap cepat untuk ribuan baris.
+     * @returns {{ records: Object[], reasons: string[] }[]}
+     */
+    findGroups(records) {
+        const prints = records.map(record => this.fingerprint(record));
+        const parent = prints.map((_, index) => index);
+        const links = []; // [indeks, alasan] untuk label kelompok
+        const find = index => {
+            while (parent[index] !== index) {
+                parent[index] = parent[parent[index]];
+                index = parent[index];
+            }
+            return index;
+        };
+        const union = (a, b, reason) => {
+            parent[find(b)] = find(a);
+            links.push([a, reason]);
+        };
+
+        const byPhone = new Map();
+        const blocks = new Map();
+        prints.forEach((print, index) => {
+            if (print.phone) {
+                if (byPhone.has(print.phone)) {
+                    union(byPhone.get(print.phone), index, 'phone');
+                } else {
+                    byPhone.set(print.phone, index);
+                }
+            }
+            if (print.name && print.address) {
+                const key = print.name.replace(/ /g, '').slice(0, 3);
+                if (!blocks.has(key)) blocks.set(key, []);
+                blocks.get(key).push(index);
+            }
+        });
+
+        blocks.forEach(indexes => {
+            for (let i = 0; i < indexes.length; i++) {
+                for (let j = i + 1; j < indexes.length; j++) {
+                    if (this.compare(prints[indexes[i]], prints[indexes[j]]) === 'name') {
+                        union(indexes[i], indexes[j], 'name');
+                    }
+                }
+            }
+        });
+
+        const groups = new Map();
+        prints.forEach((print, index) => {
+            const root = find(index);
+            if (!groups.has(root)) groups.set(root, { records: [], reasons: new Set() });
+            groups.get(root).records.push(print.record);
+        });
+        links.forEach(([index, reason]) => groups.get(find(index)).reasons.add(reason));
+
+        return [...groups.values()]
+            .filter(group => group.records.length > 1)
+            .map(group => ({ records: group.records, reasons: [...group.reasons] }));
+    },
+
+    /**
+     * Gabungkan record duplikat ke record yang dipertahankan: field kosong diisi dari
+     * record lain, keterangan digabung tanpa mengulang teks yang sama. Keterangan yang sudah
+     * hasil gabungan dipecah dulu, jadi menggabungkan ulang record yang sama tidak mengubah apa-apa.
+     */
+    merge(keep, others) {
+        const merged = { ...keep };
+        CUSTOMER_FIELDS.forEach(field => {
+            if (this.CONCAT_FIELDS.includes(field)) {
+                const parts = [keep, ...others]
+                    .flatMap(record => String(record[field] || '').split(this.CONCAT_SEPARATOR))
+                    .map(part => part.trim())
+                    .filter(part => part);
+                merged[field] = [...new Set(parts)].join(this.CONCAT_SEPARATOR);
+            } else if (!merged[field]) {
+                const donor = others.find(record => record[field]);
+                if (donor) merged[field] = donor[field];
+            }
+        });
+        return merged;
+    },
+
+    describeMatches(matches) {
+        return matches.slice(0, 3)
+            .map(({ record, reason }) => record.hidden
+                ? `data milik sales ${record.nama_sales || '-'} - ${this.REASON_LABELS[reason]}`
+                : `${record.nama || '-'} (${record.no_telepon || '-'}, sales ${record.nama_sales || '-'}) - ${this.REASON_LABELS[reason]}`)
+            .join('; ') + (matches.length > 3 ? `; dan ${matches.length - 3} lainnya` : '');
+    },
+
+    /**
+     * Peringatan langsung di bawah input form saat nomor/nama/alamat diketik.
+     * @param {Object} options
+     * @param {string[]} options.inputIds Input yang memicu pengecekan
+     * @param {string} options.targetId Elemen tempat peringatan ditampilkan
+     * @param {Function} options.getRecord () => record dari isi form
+     * @param {Function} options.findMatches (record, excludeId) => Promise hasil pencarian duplikat
+     * @param {Function} [options.getExcludeId] () => id record yang sedang diedit
+     */
+    bindWarning({ inputIds, targetId, getRecord, findMatches, getExcludeId = () => null }) {
+        const target = document.getElementById(targetId);
+        if (!target) return;
+
+        let timer = null;
+        let latest = 0;
+        const check = () => {
+            clearTimeout(timer);
+            timer = setTimeout(async () => {
+                const request = ++latest;
+                let matches = [];
+                try {
+                    matches = await findMatches(getRecord(), getExcludeId());
+                } catch (error) {
+                    console.warn('⚠️ Cek duplikat gagal:', error.message);
+                }
+                if (request !== latest) return; // sudah ada pengecekan yang lebih baru
+
+                target.textContent = matches.length > 0
+                    ? `⚠️ Kemungkinan duplikat: ${this.describeMatches(matches)}`
+                    : '';
+                target.hidden = matches.length === 0;
+            }, 300);
+        };
+
+        inputIds.forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.addEventListener('input', check);
+        });
+    }
+};
+
+/**
+ * Tampilan kelompok duplikat dengan aksi gabung (merge).
+ */
+const DuplicatesDialog = {
+    integration: null,
+    groups: [],
+
+    attach(integration) {
+        this.integration = integration;
+
+        const openBtn = document.getElementById('duplicatesBtn');
+        if (openBtn) openBtn.addEventListener('click', () => this.show());
+
+        const closeBtn = document.getElementById('closeDuplicatesModal');
+        if (closeBtn) closeBtn.addEventListener('click', () => this.close());
+
+        const list = document.getElementById('duplicatesList');
+        if (list) {
+            list.addEventListener('click', event => {
+                const button = event.target.closest('button[data-merge-group]');
+                if (button) this.mergeGroup(parseInt(button.dataset.mergeGroup, 10));
+            });
+        }
+    },
+
+    close() {
+        document.getElementById('duplicatesModal').classList.remove('show');
+    },
+
+    show() {
+        this.groups = CustomerDuplicates.findGroups(this.integration.originalData);
+        this.render();
+        document.getElementById('duplicatesModal').classList.add('show');
+    },
+
+    // Default dipertahankan: record dengan isi paling lengkap, lalu yang paling lama (baris teratas)
+    defaultKeep(records) {
+        const filled = record => CUSTOMER_FIELDS.filter(field => record[field]).length;
+        return [...records].sort((a, b) => filled(b) - filled(a) || a.id - b.id)[0];
+    },
+
+    render() {
+        const list = document.getElementById('duplicatesList');
+        if (!list) return;
+
+        if (this.groups.length === 0) {
+            SafeHtml.render(list, html`<p class="sync-empty">Tidak ditemukan data duplikat.</p>`);
+            return;
+        }
+
+        const fields = ['nama', 'no_telepon', 'alamat', 'nama_sales', 'status', 'keterangan'];
+        SafeHtml.render(list, html`
+            <p>${this.groups.length} kelompok kemungkinan duplikat. Pilih data yang dipertahankan, lalu klik Gabungkan.</p>
+            ${this.groups.map((group, index) => {
+                const keep = this.defaultKeep(group.records);
+                return html`
+                    <div class="duplicate-group">
+                        <div class="duplicate-group-header">
+                            <strong>${group.reasons.map(reason => CustomerDuplicates.REASON_LABELS[reason]).join(', ')}</strong>
+                            <button type="button" class="btn-save" data-merge-group="${index}">Gabungkan</button>
+                        </div>
+                        <table class="import-table">
+                            <thead>
+                                <tr>
+                                    <th>Simpan</th>
+                                    <th>Baris</th>
+                                    ${fields.map(field => html`<th>${this.integration.schema.label(field)}</th>`)}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${group.records.map(record => html`
+                                    <tr>
+                                        <td><input type="radio" name="keep-${index}" value="${record.id}" ${record.id === keep.id ? 'checked' : ''} /></td>
+                                        <td>${record.id}</td>
+                                        ${fields.map(field => html`<td>${record[field]}</td>`)}
+                                    </tr>
+                                `)}
+                            </tbody>
+                        </table>
+                    </div>
+                `;
+            })}
+        `);
+    },
+
+    async mergeGroup(index) {
+        const group = this.groups[index];
+        if (!group) return;
+
+        const checked = document.querySelector(`input[name="keep-${index}"]:checked`);
+        const keepId = checked ? Number(checked.value) : this.defaultKeep(group.records).id;
+        const keep = group.records.find(record => record.id === keepId);
+        const others = group.records.filter(record => record.id !== keepId);
+
+        const message = `Gabungkan ${group.records.length} data menjadi "${keep.nama}" (baris ${keep.id})?\n\n` +
+            `Field kosong akan diisi dari data lain dan keterangan digabung.\n` +
+            `${others.length} baris lain akan dihapus:\n` +
+            others.map(record => `- ${record.nama || '-'} (baris ${record.id})`).join('\n');
+        if (!confirm(message)) return;
+
+        try {
+            await this.integration.mergeRecords(keep, others);
+            this.integration.showMessage(
+                this.integration.writeSuccessMessage(`${group.records.length} data digabung menjadi satu`),
+                'success'
+            );
+            this.close();
+            this.integration.refreshData();
+        } catch (error) {
+            console.error('❌ Merge error:', error);
+            this.integration.showError('Gagal menggabungkan data: ' + error.message);
+        }
+    }
+};
+
+// Dipakai juga oleh server/proxy-server.js (Node)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CustomerDuplicates };
+}
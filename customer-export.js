@@ -0,0 +1,72 @@
+/**
+ * Customer Export - unduh data customer sebagai file CSV atau XLSX
+ *
+ * Header kolom diambil dari schema (nama header asli di sheet) sehingga file hasil
+ * export bisa langsung dicocokkan kembali dengan spreadsheet.
+ */
+
+const CustomerExport = {
+    /**
+     * Field yang diekspor: kolom yang ada di sheet, ditambah kolom lain yang punya isi.
+     */
+    fieldsFor(records, schema) {
+        return CUSTOMER_FIELDS.filter(field =>
+            (schema && schema.has(field)) || records.some(record => record[field])
+        );
+    },
+
+    escapeCsv(value) {
+        const text = value == null ? '' : String(value);
+        return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    // Baris tabel: header dari schema diikuti satu baris per record
+    toRows(records, schema) {
+        const fields = this.fieldsFor(records, schema);
+        const header = fields.map(field => schema ? schema.label(field) : (CUSTOMER_FIELD_LABELS[field] || field));
+        return [header, ...records.map(record => fields.map(field => record[field] || ''))];
+    },
+
+    toCsv(records, schema) {
+        const lines = this.toRows(records, schema)
+            .map(row => row.map(value => this.escapeCsv(value)).join(','));
+        // BOM agar Excel membaca UTF-8 dengan benar
+        return '\uFEFF' + lines.join('\r\n');
+    },
+
+    filename(prefix, extension) {
+        const stamp = new Date().toISOString().slice(0, 16).replace(/[T:]/g, '-');
+        return `${prefix}-${stamp}.${extension}`;
+    },
+
+    download(content, filename, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    downloadCsv(records, schema, prefix = 'calon-pelanggan') {
+        this.download(this.toCsv(records, schema), this.filename(prefix, 'csv'), 'text/csv;charset=utf-8');
+    },
+
+    downloadXlsx(records, schema, prefix = 'calon-pelanggan', sheetName = 'Calon Pelanggan') {
+        this.download(XlsxWriter.build(this.toRows(records, schema), sheetName), this.filename(prefix, 'xlsx'));
+    },
+
+    /**
+     * @param {'csv'|'xlsx'} format
+     */
+    downloadAs(format, records, schema, prefix) {
+        if (format === 'xlsx') {
+            this.downloadXlsx(records, schema, prefix);
+        } else {
+            this.downloadCsv(records, schema, prefix);
+        }
+    }
+};
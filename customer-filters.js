@@ -0,0 +1,74 @@
+/**
+ * Customer Filters - pencarian global dan filter multi-kriteria untuk tabel customer
+ */
+
+const CustomerFilters = {
+    // Field yang dicari oleh kotak pencarian
+    SEARCH_FIELDS: ['nama', 'no_telepon', 'odp_terdekat', 'keterangan', 'alamat'],
+
+    // Filter dropdown: id elemen -> field record
+    SELECT_FILTERS: {
+        filterStatus: 'status',
+        filterVisit: 'visit',
+        filterSales: 'nama_sales',
+        filterOdp: 'odp_terdekat',
+        filterPriority: 'priority'
+    },
+
+    createEmpty() {
+        return {
+            search: '',
+            status: '',
+            visit: '',
+            nama_sales: '',
+            odp_terdekat: '',
+            priority: ''
+        };
+    },
+
+    isActive(filters) {
+        return Object.values(filters).some(value => value);
+    },
+
+    matchesSearch(record, query) {
+        if (!query) return true;
+
+        const needle = query.toLowerCase().trim();
+        const digits = needle.replace(/\D/g, '');
+        return this.SEARCH_FIELDS.some(field => {
+            const value = String(record[field] || '');
+            if (value.toLowerCase().includes(needle)) return true;
+            // Nomor telepon sering ditulis dengan spasi/strip; cocokkan angka saja
+            return field === 'no_telepon' && digits.length >= 3 && value.replace(/\D/g, '').includes(digits);
+        });
+    },
+
+    /**
+     * @param {Object} record
+     * @param {Object} filters Hasil createEmpty() yang sudah diisi
+     * @param {string} activeSales Pilihan sales di sidebar ('All' = semua)
+     */
+    matches(record, filters, activeSales = 'All') {
+        if (activeSales && activeSales !== 'All' && record.nama_sales !== activeSales) {
+            return false;
+        }
+
+        const selectMismatch = Object.values(this.SELECT_FILTERS).some(field =>
+            filters[field] && (record[field] || '') !== filters[field]
+        );
+        if (selectMismatch) return false;
+
+        return this.matchesSearch(record, filters.search);
+    },
+
+    apply(records, filters, activeSales = 'All') {
+        return records.filter(record => this.matches(record, filters, activeSales));
+    },
+
+    distinctValues(records, field) {
+        return [...new Set(records
+            .map(record => record[field])
+            .filter(value => value && value.trim()))]
+            .sort((a, b) => a.localeCompare(b, 'id'));
+    }
+};
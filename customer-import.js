@@ -0,0 +1,344 @@
+/**
+ * Customer Import - wizard import calon pelanggan dari file CSV/Excel
+ *
+ * Alur: pilih file -> cocokkan kolom file dengan field -> pratinjau dengan error per baris
+ * -> semua baris valid ditambahkan ke data source dalam satu request batch.
+ * Validasi memakai CustomerValidation, sama seperti form tambah customer.
+ */
+
+const CustomerImport = {
+    integration: null,
+    step: 'file',
+    fileName: '',
+    header: [],
+    rows: [], // { line, values } - line = nomor baris di file
+    mapping: [], // indeks kolom file -> field ('' = diabaikan)
+    results: [],
+
+    // Jumlah baris yang ditampilkan di pratinjau; import tetap memproses semua baris
+    PREVIEW_LIMIT: 200,
+
+    attach(integration) {
+        this.integration = integration;
+
+        const openBtn = document.getElementById('importBtn');
+        if (openBtn) openBtn.addEventListener('click', () => this.open());
+
+        const closeBtn = document.getElementById('closeImportModal');
+        if (closeBtn) closeBtn.addEventListener('click', () => this.close());
+
+        const backBtn = document.getElementById('importBackBtn');
+        if (backBtn) backBtn.addEventListener('click', () => this.back());
+
+        const nextBtn = document.getElementById('importNextBtn');
+        if (nextBtn) nextBtn.addEventListener('click', () => this.next());
+    },
+
+    open() {
+        this.step = 'file';
+        this.fileName = '';
+        this.header = [];
+        this.rows = [];
+        this.mapping = [];
+        this.results = [];
+        this.render();
+        document.getElementById('importModal').classList.add('show');
+    },
+
+    close() {
+        document.getElementById('importModal').classList.remove('show');
+    },
+
+    back() {
+        if (this.step === 'preview') this.step = 'mapping';
+        else if (this.step === 'mapping') this.step = 'file';
+        this.render();
+    },
+
+    next() {
+        if (this.step === 'mapping') {
+            this.readMapping();
+            const missing = CustomerValidation.REQUIRED_FIELDS.filter(field => !this.mapping.includes(field));
+            if (missing.length > 0 && !confirm(`Field wajib berikut belum dipetakan: ${missing.map(field => CUSTOMER_FIELD_LABELS[field]).join(', ')}.\nSemua baris akan dianggap error. Lanjutkan?`)) {
+                return;
+            }
+            this.results = this.buildRecords();
+            this.step = 'preview';
+            this.render();
+        } else if (this.step === 'preview') {
+            this.runImport();
+        }
+    },
+
+    // ---------------------------------------------------------------------
+    // Membaca file
+    // ---------------------------------------------------------------------
+
+    /**
+     * Pemisah kolom ditebak dari baris pertama: Excel berbahasa Indonesia
+     * biasanya menyimpan CSV dengan titik koma.
+     */
+    detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0] || '';
+        const best = [',', ';', '\t']
+            .map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length - 1 }))
+            .sort((a, b) => b.count - a.count)[0];
+        return best.count > 0 ? best.delimiter : ',';
+    },
+
+    /**
+     * Parser CSV (RFC 4180): mendukung kutip ganda, "" di dalam kutip, dan baris baru di dalam sel.
+     */
+    parseCsv(text, delimiter = this.detectDelimiter(text)) {
+        const rows = [];
+        let row = [];
+        let value = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"' && value === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+        if (value !== '' || row.length > 0) {
+            row.push(value);
+            rows.push(row);
+        }
+        return rows;
+    },
+
+    async readFile(file) {
+        const buffer = await file.arrayBuffer();
+        const bytes = new Uint8Array(buffer);
+        if (XlsxReader.isZip(bytes)) {
+            return XlsxReader.read(buffer);
+        }
+        if (/\.xls$/i.test(file.name)) {
+            throw new Error('Format .xls lama tidak didukung. Simpan ulang sebagai .xlsx atau CSV.');
+        }
+        // TextDecoder membuang BOM UTF-8 di awal file
+        return this.parseCsv(new TextDecoder('utf-8').decode(bytes));
+    },
+
+    async loadFile(file) {
+        try {
+            const nonEmpty = (await this.readFile(file))
+                .map((row, index) => ({
+                    line: index + 1,
+                    values: row.map(value => String(value == null ? '' : value).trim())
+                }))
+                .filter(row => row.values.some(value => value));
+            if (nonEmpty.length < 2) {
+                throw new Error('File tidak berisi data (minimal satu baris header dan satu baris data).');
+            }
+
+            this.fileName = file.name;
+            this.header = nonEmpty[0].values;
+            this.rows = nonEmpty.slice(1);
+            this.mapping = this.guessMapping(this.header);
+            this.step = 'mapping';
+            this.render();
+        } catch (error) {
+            console.error('❌ Import read error:', error);
+            this.integration.showError('Gagal membaca file: ' + error.message);
+        }
+    },
+
+    /**
+     * Tebak field tujuan dari nama kolom memakai tabel alias yang sama dengan header sheet.
+     */
+    guessMapping(header) {
+        const lookup = {};
+        CUSTOMER_FIELDS.forEach(field => {
+            [field, CUSTOMER_FIELD_LABELS[field], ...(CONFIG.COLUMN_MAPPING[field] || [])].forEach(alias => {
+                lookup[SheetSchema.normalize(alias)] = field;
+            });
+        });
+
+        const used = new Set();
+        return header.map(name => {
+            const field = lookup[SheetSchema.normalize(name)];
+            if (!field || used.has(field)) return '';
+            used.add(field);
+            return field;
+        });
+    },
+
+    readMapping() {
+        document.querySelectorAll('#importBody select[data-column]').forEach(select => {
+            this.mapping[parseInt(select.dataset.column, 10)] = select.value;
+        });
+    },
+
+    /**
+     * @returns {{ line: number, record: Object, errors: string[] }[]}
+     */
+    buildRecords() {
+        return this.rows.map(({ line, values }) => {
+            const data = {};
+            this.mapping.forEach((field, column) => {
+                if (field && values[column]) data[field] = values[column];
+            });
+            const record = CustomerValidation.buildRecord(data);
+            return { line, record, errors: CustomerValidation.validate(record) };
+        });
+    },
+
+    // ---------------------------------------------------------------------
+    // Tampilan
+    // ---------------------------------------------------------------------
+
+    render() {
+        const body = document.getElementById('importBody');
+        const backBtn = document.getElementById('importBackBtn');
+        const nextBtn = document.getElementById('importNextBtn');
+        if (!body) return;
+
+        backBtn.style.display = this.step === 'file' ? 'none' : '';
+        nextBtn.style.display = this.step === 'file' ? 'none' : '';
+        nextBtn.disabled = false;
+
+        if (this.step === 'file') {
+            this.renderFileStep(body);
+        } else if (this.step === 'mapping') {
+            nextBtn.textContent = 'Lanjut ke Pratinjau';
+            this.renderMappingStep(body);
+        } else {
+            const valid = this.results.filter(result => result.errors.length === 0).length;
+            nextBtn.textContent = `Import ${valid.toLocaleString('id-ID')} Data Valid`;
+            nextBtn.disabled = valid === 0;
+            this.renderPreviewStep(body);
+        }
+    },
+
+    renderFileStep(body) {
+        const excelNote = XlsxReader.isSupported()
+            ? 'File CSV (pemisah koma atau titik koma) dan Excel (.xlsx) didukung.'
+            : 'File CSV (pemisah koma atau titik koma) didukung. Browser ini belum bisa membaca .xlsx.';
+        SafeHtml.render(body, html`
+            <p>Pilih file daftar calon pelanggan. Baris pertama harus berisi nama kolom.</p>
+            <p class="import-note">${excelNote}</p>
+            <input type="file" id="importFile" accept=".csv,.txt,.xlsx,text/csv" />
+        `);
+        body.querySelector('#importFile').addEventListener('change', event => {
+            const file = event.target.files[0];
+            if (file) this.loadFile(file);
+        });
+    },
+
+    renderMappingStep(body) {
+        const options = ['', ...CUSTOMER_FIELDS].map(field => {
+            const label = field ? CUSTOMER_FIELD_LABELS[field] : '— Abaikan kolom ini —';
+            const required = CustomerValidation.REQUIRED_FIELDS.includes(field) ? ' *' : '';
+            return html`<option value="${field}">${label + required}</option>`;
+        });
+
+        const rows = this.header.map((name, column) => {
+            const sample = this.rows.slice(0, 3).map(row => row.values[column]).filter(value => value).join(', ');
+            return html`
+                <tr>
+                    <td><strong>${name || `Kolom ${column + 1}`}</strong></td>
+                    <td class="import-sample">${sample}</td>
+                    <td><select data-column="${column}">${options}</select></td>
+                </tr>
+            `;
+        });
+
+        SafeHtml.render(body, html`
+            <p><strong>${this.fileName}</strong> - ${this.rows.length.toLocaleString('id-ID')} baris data.
+            Cocokkan setiap kolom file dengan field tujuan. Field bertanda * wajib diisi.</p>
+            <table class="import-table">
+                <thead>
+                    <tr><th>Kolom di File</th><th>Contoh Isi</th><th>Field Tujuan</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `);
+        body.querySelectorAll('select[data-column]').forEach(select => {
+            select.value = this.mapping[parseInt(select.dataset.column, 10)] || '';
+        });
+    },
+
+    renderPreviewStep(body) {
+        const invalid = this.results.filter(result => result.errors.length > 0);
+        const valid = this.results.length - invalid.length;
+
+        // Baris bermasalah ditampilkan lebih dulu agar mudah diperbaiki
+        const shown = [...invalid, ...this.results.filter(result => result.errors.length === 0)]
+            .slice(0, this.PREVIEW_LIMIT);
+        const previewFields = ['nama', 'no_telepon', 'alamat', 'odp_terdekat', 'nama_sales', 'status'];
+
+        const rows = shown.map(result => html`
+            <tr class="${result.errors.length ? 'import-row-error' : ''}">
+                <td>${result.line}</td>
+                ${previewFields.map(field => html`<td>${result.record[field]}</td>`)}
+                <td>${result.errors.length ? result.errors.join('; ') : html`<i class="fas fa-check"></i>`}</td>
+            </tr>
+        `);
+
+        SafeHtml.render(body, html`
+            <p>
+                <strong>${valid.toLocaleString('id-ID')}</strong> baris siap diimport,
+                <strong>${invalid.length.toLocaleString('id-ID')}</strong> baris bermasalah dan akan dilewati.
+            </p>
+            ${this.results.length > this.PREVIEW_LIMIT
+                && html`<p class="import-note">Menampilkan ${this.PREVIEW_LIMIT} dari ${this.results.length.toLocaleString('id-ID')} baris.</p>`}
+            <div class="import-preview">
+                <table class="import-table">
+                    <thead>
+                        <tr>
+                            <th>Baris</th>
+                            ${previewFields.map(field => html`<th>${CUSTOMER_FIELD_LABELS[field]}</th>`)}
+                            <th>Keterangan</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `);
+    },
+
+    async runImport() {
+        const integration = this.integration;
+        const records = this.results.filter(result => result.errors.length === 0).map(result => result.record);
+        const skipped = this.results.length - records.length;
+        if (records.length === 0) return;
+
+        const nextBtn = document.getElementById('importNextBtn');
+        nextBtn.disabled = true;
+        nextBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Mengimpor...';
+
+        try {
+            await integration.createCustomers(records);
+            const report = `${records.length} calon pelanggan berhasil diimport` + (skipped ? `, ${skipped} baris dilewati` : '');
+            integration.showMessage(integration.writeSuccessMessage(report), 'success');
+            this.close();
+            integration.refreshData();
+        } catch (error) {
+            console.error('❌ Import error:', error);
+            integration.showError(`Gagal mengimport ${records.length} data: ${error.message}`);
+            this.render();
+        }
+    }
+};
@@ -0,0 +1,59 @@
+/**
+ * Customer Sort - pengurutan multi-kolom yang stabil untuk tabel customer
+ *
+ * sortKeys: [{ field: 'nama', direction: 'asc' }, ...] - kunci pertama paling utama.
+ */
+
+const CustomerSort = {
+    collator: new Intl.Collator('id', { numeric: true, sensitivity: 'base' }),
+
+    compareValues(a, b) {
+        const left = a || '';
+        const right = b || '';
+        // Nilai kosong selalu di bawah, apa pun arah urutannya
+        if (!left && right) return 1;
+        if (left && !right) return -1;
+        return this.collator.compare(left, right);
+    },
+
+    apply(records, sortKeys) {
+        if (!sortKeys || sortKeys.length === 0) return records;
+
+        // Simpan posisi awal sebagai pemutus seri agar urutan selalu stabil
+        return records
+            .map((record, index) => ({ record, index }))
+            .sort((a, b) => {
+                for (const { field, direction } of sortKeys) {
+                    const left = a.record[field];
+                    const right = b.record[field];
+                    let result = this.compareValues(left, right);
+                    if (result !== 0 && left && right && direction === 'desc') {
+                        result = -result;
+                    }
+                    if (result !== 0) return result;
+                }
+                return a.index - b.index;
+            })
+            .map(entry => entry.record);
+    },
+
+    /**
+     * Klik header: asc -> desc -> tidak diurutkan.
+     * Dengan multi (Shift+klik) kolom ditambahkan sebagai kunci berikutnya.
+     */
+    toggle(sortKeys, field, multi = false) {
+        const existing = sortKeys.find(key => key.field === field);
+        const nextDirection = !existing ? 'asc' : existing.direction === 'asc' ? 'desc' : null;
+
+        if (!multi) {
+            return nextDirection ? [{ field, direction: nextDirection }] : [];
+        }
+
+        if (!existing) {
+            return [...sortKeys, { field, direction: nextDirection }];
+        }
+        return nextDirection
+            ? sortKeys.map(key => key.field === field ? { field, direction: nextDirection } : key)
+            : sortKeys.filter(key => key.field !== field);
+    }
+};
@@ -0,0 +1,267 @@
+/**
+ * Customer Trash - hapus data customer ke tab sampah (CONFIG.TRASH_SHEET_NAME)
+ *
+ * Baris yang dihapus disalin utuh ke tab sampah sebelum dihapus dari sheet utama, sehingga
+ * bisa dibatalkan (undo) atau dipulihkan nanti. Isi baris disimpan sebagai JSON berkunci
+ * nama header agar tetap benar walau urutan kolom sheet utama berubah; kolom nama, telepon
+ * dan sales ikut ditulis supaya tab sampah tetap mudah dibaca langsung di spreadsheet.
+ */
+
+const TRASH_FIELDS = ['dihapus_pada', 'dihapus_oleh', 'baris_asal', 'nama', 'no_telepon', 'nama_sales', 'data'];
+
+const TRASH_FIELD_LABELS = {
+    dihapus_pada: 'DIHAPUS PADA',
+    dihapus_oleh: 'DIHAPUS OLEH',
+    baris_asal: 'BARIS ASAL',
+    nama: 'NAMA',
+    no_telepon: 'NO TELEPON',
+    nama_sales: 'NAMA SALES',
+    data: 'DATA'
+};
+
+const CustomerTrash = {
+    dataSource: null,
+    schema: null,
+    readyPromise: null,
+    getUser: () => '',
+
+    init(config, { getUser } = {}) {
+        this.dataSource = createDataSource(config, {
+            sheetName: config.TRASH_SHEET_NAME,
+            defaultRows: [this.defaultHeader()]
+        });
+        if (getUser) this.getUser = getUser;
+    },
+
+    defaultHeader() {
+        return TRASH_FIELDS.map(field => TRASH_FIELD_LABELS[field]);
+    },
+
+    ready() {
+        if (!this.readyPromise) {
+            this.readyPromise = (async () => {
+                await this.dataSource.ensureSheet(this.defaultHeader());
+                const header = await this.dataSource.get(1);
+                this.schema = new SheetSchema(header, {}, TRASH_FIELDS);
+            })();
+            this.readyPromise.catch(() => {
+                this.readyPromise = null;
+            });
+        }
+        return this.readyPromise;
+    },
+
+    /**
+     * Entri sampah untuk record, belum ditulis. Tidak butuh koneksi, jadi saat offline
+     * entri bisa ikut antrean hapus dan ditulis dengan save() saat outbox diputar ulang.
+     * @param {{ record: Object, header: string[], row: string[] }[]} items
+     */
+    prepare(items) {
+        const deletedAt = new Date().toISOString();
+        const user = this.getUser() || 'tidak diketahui';
+
+        return items.map(({ record, header, row }) => ({
+            dihapus_pada: deletedAt,
+            dihapus_oleh: user,
+            baris_asal: String(record.id),
+            nama: record.nama || '',
+            no_telepon: record.no_telepon || '',
+            nama_sales: record.nama_sales || '',
+            data: JSON.stringify(Object.fromEntries(header
+                .map((label, index) => [label || `KOLOM ${index + 1}`, row[index] || ''])
+                .filter(([, value]) => value !== '')))
+        }));
+    },
+
+    /**
+     * Tulis entri hasil prepare() ke tab sampah.
+     * @returns {Promise<Object[]>} Entri dengan id baris di tab sampah, untuk undo
+     */
+    async save(entries) {
+        await this.ready();
+        const rowNumbers = await this.dataSource.createMany(entries.map(entry => this.schema.toRow(entry)));
+        return entries.map((entry, index) => this.toEntry(entry, rowNumbers[index]));
+    },
+
+    toEntry(entry, id) {
+        let values = {};
+        try {
+            values = entry.data ? JSON.parse(entry.data) : {};
+        } catch (error) {
+            console.warn('⚠️ Data sampah baris', id, 'tidak bisa dibaca:', error.message);
+        }
+        return { ...entry, id, values };
+    },
+
+    /**
+     * Semua entri sampah, yang terakhir dihapus di atas.
+     */
+    async list() {
+        UserAccess.assert('restore');
+        await this.ready();
+        const rows = await this.dataSource.list();
+        return rows.slice(1)
+            .map((row, index) => this.toEntry(this.schema.toRecord(row, index + 2), index + 2))
+            .filter(entry => entry.dihapus_pada)
+            .reverse();
+    },
+
+    /**
+     * Ubah entri sampah kembali menjadi record customer, dicocokkan lewat alias header.
+     */
+    toRecord(entry) {
+        const labels = Object.keys(entry.values);
+        const schema = new SheetSchema(labels, CONFIG.COLUMN_MAPPING);
+        return schema.toRecord(labels.map(label => entry.values[label]), null);
+    },
+
+    /**
+     * Baris untuk sheet utama: field dikenal lewat schema, kolom lain dicocokkan dengan nama header.
+     */
+    toRow(entry, schema) {
+        const baseRow = schema.header.map(label => entry.values[label] || '');
+        return schema.toRow(this.toRecord(entry), baseRow);
+    },
+
+    /**
+     * Nomor baris entri di tab sampah saat ini. Dicari ulang karena bisa bergeser jika
+     * pengguna lain memulihkan atau menghapus permanen entri lain di antaranya.
+     */
+    async locate(entries) {
+        await this.ready();
+        const current = (await this.dataSource.list())
+            .map((row, index) => this.schema.toRecord(row, index + 1));
+        const sameEntry = (a, b) => a.dihapus_pada === b.dihapus_pada &&
+            a.baris_asal === b.baris_asal && a.data === b.data;
+
+        return entries.map(entry => {
+            const match = current.find(row => row.id > 1 && sameEntry(row, entry));
+            if (!match) throw new Error(`Data ${entry.nama || ''} sudah tidak ada di tempat sampah. Silakan refresh data.`);
+            return match.id;
+        });
+    },
+
+    /**
+     * Hapus entri dari tab sampah.
+     * @param {number[]} [rowNumbers] Hasil locate() yang sudah dicari sebelumnya
+     */
+    async remove(entries, rowNumbers = null) {
+        await this.dataSource.deleteMany(rowNumbers || await this.locate(entries));
+    }
+};
+
+/**
+ * Modal tempat sampah: pulihkan atau hapus permanen.
+ */
+const TrashDialog = {
+    integration: null,
+    entries: [],
+
+    attach(integration) {
+        this.integration = integration;
+
+        const bind = (id, handler) => {
+            const element = document.getElementById(id);
+            if (element) element.addEventListener('click', handler);
+        };
+        bind('trashBtn', () => this.open());
+        bind('closeTrashModal', () => this.close());
+
+        const list = document.getElementById('trashList');
+        if (list) {
+            list.addEventListener('click', event => {
+                const button = event.target.closest('button[data-trash-action]');
+                if (!button) return;
+                const entry = this.entries.find(item => item.id === Number(button.dataset.id));
+                if (!entry) return;
+                if (button.dataset.trashAction === 'restore') {
+                    this.restore(entry);
+                } else {
+                    this.purge(entry);
+                }
+            });
+        }
+    },
+
+    async open() {
+        document.getElementById('trashModal').classList.add('show');
+        await this.load();
+    },
+
+    close() {
+        document.getElementById('trashModal').classList.remove('show');
+    },
+
+    async load() {
+        const list = document.getElementById('trashList');
+        SafeHtml.render(list, html`<p class="import-note">Memuat tempat sampah...</p>`);
+        try {
+            this.entries = await CustomerTrash.list();
+            this.render();
+        } catch (error) {
+            console.error('❌ Trash load error:', error);
+            SafeHtml.render(list, html`<p class="import-row-error">Gagal memuat tempat sampah: ${error.message}</p>`);
+        }
+    },
+
+    render() {
+        const list = document.getElementById('trashList');
+        if (this.entries.length === 0) {
+            SafeHtml.render(list, html`<p class="import-note">Tempat sampah kosong.</p>`);
+            return;
+        }
+
+        const canPurge = UserAccess.can('purge');
+        SafeHtml.render(list, html`
+            <table class="import-table">
+                <thead>
+                    <tr><th>Nama</th><th>Telepon</th><th>Sales</th><th>Dihapus</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${this.entries.map(entry => html`
+                        <tr>
+                            <td>${entry.nama}</td>
+                            <td>${entry.no_telepon}</td>
+                            <td>${entry.nama_sales}</td>
+                            <td>${new Date(entry.dihapus_pada).toLocaleString('id-ID')}<br><small>${entry.dihapus_oleh}</small></td>
+                            <td class="roster-actions">
+                                <button type="button" class="btn-save" data-trash-action="restore" data-id="${entry.id}">Pulihkan</button>
+                                ${canPurge && html`<button type="button" class="btn-danger" data-trash-action="purge" data-id="${entry.id}">Hapus Permanen</button>`}
+                            </td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        `);
+    },
+
+    async restore(entry) {
+        try {
+            await this.integration.restoreRecords([entry]);
+            this.integration.showMessage(this.integration.writeSuccessMessage(`${entry.nama || 'Data'} dipulihkan`), 'success');
+            this.integration.refreshData();
+            await this.load();
+        } catch (error) {
+            console.error('❌ Restore error:', error);
+            this.integration.showError('Gagal memulihkan data: ' + error.message);
+        }
+    },
+
+    async purge(entry) {
+        if (!confirm(`Hapus permanen ${entry.nama || 'data ini'}? Data tidak bisa dikembalikan lagi.`)) return;
+
+        try {
+            await this.integration.purgeTrash([entry]);
+            this.integration.showMessage(`${entry.nama || 'Data'} dihapus permanen`, 'success');
+            await this.load();
+        } catch (error) {
+            console.error('❌ Purge error:', error);
+            this.integration.showError('Gagal menghapus permanen: ' + error.message);
+        }
+    }
+};
+
+// Dipakai juga oleh server/proxy-server.js (Node)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CustomerTrash, TRASH_FIELDS, TRASH_FIELD_LABELS };
+}
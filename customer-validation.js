@@ -0,0 +1,73 @@
+/**
+ * Customer Validation - aturan isi data calon pelanggan
+ *
+ * Dipakai bersama oleh form tambah customer dan import file agar data yang masuk
+ * lewat jalur mana pun diperiksa dengan aturan yang sama.
+ */
+
+const CustomerValidation = {
+    REQUIRED_FIELDS: ['nama', 'no_telepon', 'alamat', 'odp_terdekat', 'nama_sales'],
+
+    // Nilai default untuk field yang dikosongkan
+    DEFAULTS: {
+        visit: 'Not Visited',
+        status: 'Baru',
+        priority: 'Normal'
+    },
+
+    VISITED: 'Visited',
+
+    // Tanggal (waktu lokal) dalam format input tanggal: 2026-10-19
+    localDate(date) {
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    today() {
+        return this.localDate(new Date());
+    },
+
+    /**
+     * Susun record baru dari data mentah (form atau baris file): nilai di-trim
+     * dan field kosong diisi default. Tanggal input diisi hari ini jika kosong.
+     */
+    buildRecord(data) {
+        const record = {};
+        CUSTOMER_FIELDS.forEach(field => {
+            const value = data[field] == null ? '' : String(data[field]).trim();
+            record[field] = value || this.DEFAULTS[field] || '';
+        });
+        if (!record.tanggal_input) {
+            record.tanggal_input = this.today();
+        }
+        return record;
+    },
+
+    /**
+     * Isi tanggal visit saat status visit berubah menjadi Visited dan tanggalnya belum diisi,
+     * supaya lama dari input ke visit bisa dihitung.
+     */
+    stampVisitDate(updated, previous) {
+        if (updated.visit === this.VISITED && previous.visit !== this.VISITED && !updated.tanggal_visit) {
+            return { ...updated, tanggal_visit: this.today() };
+        }
+        return updated;
+    },
+
+    /**
+     * @returns {string[]} Daftar pesan error; kosong jika record valid
+     */
+    validate(record) {
+        const errors = [];
+        const missing = this.REQUIRED_FIELDS.filter(field => !record[field]);
+        if (missing.length > 0) {
+            errors.push(`Field wajib belum diisi: ${missing.map(field => CUSTOMER_FIELD_LABELS[field] || field).join(', ')}`);
+        }
+
+        if (record.no_telepon) {
+            const phone = PhoneUtils.validate(record.no_telepon);
+            if (!phone.valid) errors.push(phone.error);
+        }
+        return errors;
+    }
+};
@@ -0,0 +1,790 @@
+/**
+ * Data Source Adapters - satu interface data untuk dashboard
+ *
+ * Semua adapter bekerja dengan "baris" seperti di spreadsheet:
+ * - list(onProgress)       -> array 2D (baris pertama = header); onProgress({ loaded, total }) opsional
+ * - get(rowNumber)         -> array nilai untuk satu baris
+ * - create(values)         -> menambah baris di akhir, mengembalikan nomor baris
+ * - update(rowNumber, values)
+ * - delete(rowNumber)
+ * - createMany(rows), updateMany([{ rowNumber, values }]) dan deleteMany(rowNumbers) untuk aksi massal
+ * - ensureSheet(header)    -> membuat tab/isi header jika masih kosong (untuk tab tambahan seperti SALES)
+ *
+ * rowNumber selalu 1-based seperti nomor baris di Google Sheets (header = baris 1).
+ */
+
+// Data demo yang dipakai saat Google Sheets tidak bisa diakses dan sebagai isi awal adapter memory
+const DEMO_DATA = [
+    ['ODP', 'NAMA', 'ALAMAT', 'NO TELEPON', 'NAMA SALES', 'VISIT', 'KETERANGAN', 'STATUS'],
+    ['ODP-BDG-001', 'Budi Santoso', 'Jl. Merdeka No.1, Bandung', '081234567890', 'Nandi', 'Visited', 'Sudah follow up, tertarik paket 100Mbps', 'Diterima'],
+    ['ODP-BDG-002', 'Siti Nurhaliza', 'Jl. Sudirman No.2, Bandung', '082345678901', 'Andi', 'Pending', 'Menunggu konfirmasi dari keluarga', 'Diterima'],
+    ['ODP-BDG-003', 'Ahmad Dahlan', 'Jl. Gatot Subroto No.3', '083456789012', 'Yandi', 'Not Visited', 'Belum dihubungi, nomor tidak aktif', 'Pending'],
+    ['ODP-BDG-004', 'Rina Marlina', 'Jl. Asia Afrika No.4', '084567890123', 'April', 'Scheduled', 'Janji ketemu hari Rabu jam 14:00', 'Diterima'],
+    ['ODP-BDG-005', 'Dedi Kurniawan', 'Jl. Cihampelas No.5', '085678901234', 'Octa', 'Visited', 'Sudah survey lokasi, oke untuk instalasi', 'Diterima']
+];
+
+/**
+ * Mengubah indeks kolom 0-based menjadi huruf kolom A1 (0 -> A, 26 -> AA).
+ */
+function columnToLetter(index) {
+    let letter = '';
+    let n = index + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        letter = String.fromCharCode(65 + remainder) + letter;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letter;
+}
+
+/**
+ * Key-value store sederhana di atas IndexedDB.
+ */
+class IdbKeyValueStore {
+    constructor(dbName, storeName = 'keyval') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB tidak didukung browser ini'));
+                    return;
+                }
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    get(key) {
+        return this.transaction('readonly', store => store.get(key));
+    }
+
+    set(key, value) {
+        return this.transaction('readwrite', store => store.put(value, key));
+    }
+
+    delete(key) {
+        return this.transaction('readwrite', store => store.delete(key));
+    }
+}
+
+/**
+ * Interface dasar. Adapter wajib meng-override semua method.
+ */
+class DataSource {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async list(onProgress) {
+        throw new Error(`${this.name}: list() belum diimplementasikan`);
+    }
+
+    async get(rowNumber) {
+        throw new Error(`${this.name}: get(${rowNumber}) belum diimplementasikan`);
+    }
+
+    async create(values) {
+        throw new Error(`${this.name}: create() belum diimplementasikan`);
+    }
+
+    async update(rowNumber, values) {
+        throw new Error(`${this.name}: update(${rowNumber}) belum diimplementasikan`);
+    }
+
+    async delete(rowNumber) {
+        throw new Error(`${this.name}: delete(${rowNumber}) belum diimplementasikan`);
+    }
+
+    /**
+     * Implementasi default satu per satu; adapter yang bisa mengirim satu request massal meng-override ini.
+     */
+    async createMany(rows) {
+        const rowNumbers = [];
+        for (const values of rows) {
+            rowNumbers.push(await this.create(values));
+        }
+        return rowNumbers;
+    }
+
+    async updateMany(updates) {
+        for (const { rowNumber, values } of updates) {
+            await this.update(rowNumber, values);
+        }
+    }
+
+    async deleteMany(rowNumbers) {
+        // Hapus dari baris paling bawah agar nomor baris lain tidak bergeser
+        for (const rowNumber of DataSource.descending(rowNumbers)) {
+            await this.delete(rowNumber);
+        }
+    }
+
+    /**
+     * Pastikan sheet ada dan punya header. Mengembalikan true jika sheet baru dibuat.
+     */
+    async ensureSheet(header) {
+        const rows = await this.list();
+        if (rows.length > 0) return false;
+        await this.create(header);
+        return true;
+    }
+
+    static descending(rowNumbers) {
+        return [...new Set(rowNumbers)].sort((a, b) => b - a);
+    }
+
+    /**
+     * Tandai error karena request tidak sampai ke server (offline = true). OfflineDataSource
+     * hanya mengantrekan perubahan untuk error bertanda ini, bukan untuk error program biasa.
+     */
+    static offlineError(error = new Error('Browser sedang offline')) {
+        error.offline = true;
+        return error;
+    }
+
+    // fetch() melempar TypeError jika request tidak sampai ke server
+    static async fetch(url, options) {
+        try {
+            return await fetch(url, options);
+        } catch (error) {
+            throw DataSource.offlineError(error);
+        }
+    }
+}
+
+/**
+ * Adapter Google Sheets lewat REST API v4 di CONFIG.API_BASE.
+ * API_BASE bisa diarahkan ke server/mock-sheets-server.js untuk development offline.
+ */
+class GoogleSheetsDataSource extends DataSource {
+    constructor({ spreadsheetId, apiKey, sheetName, apiBase, pageSize = 2000 }) {
+        super('sheets');
+        this.spreadsheetId = spreadsheetId;
+        this.apiKey = apiKey;
+        this.sheetName = sheetName;
+        this.apiBase = apiBase;
+        this.pageSize = pageSize;
+        this.sheetId = null; // diisi dari metadata spreadsheet
+    }
+
+    quotedRange(a1) {
+        return `'${this.sheetName.replace(/'/g, "''")}'!${a1}`;
+    }
+
+    /**
+     * Access token OAuth dari AuthSession (auth-session.js), diperbarui dulu jika hampir habis.
+     * Tanpa AuthSession (mis. mock server), request dikirim tanpa token.
+     */
+    async getAccessToken() {
+        if (typeof AuthSession === 'undefined' || AuthSession.state === 'signed-out') {
+            return null;
+        }
+        return AuthSession.getAccessToken();
+    }
+
+    /**
+     * Kirim request ke Sheets API. Request tulis (auth: true) membawa access token user,
+     * request baca cukup memakai API key. Jika token ditolak (401), token diperbarui lalu
+     * request diulang sekali.
+     */
+    async request(path, { method = 'GET', query = {}, body, auth = false, retried = false } = {}) {
+        const params = new URLSearchParams(query);
+        if (this.apiKey) {
+            params.set('key', this.apiKey);
+        }
+
+        const headers = { 'Accept': 'application/json' };
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+        if (auth) {
+            const accessToken = await this.getAccessToken();
+            if (accessToken) {
+                headers['Authorization'] = `Bearer ${accessToken}`;
+            }
+        }
+
+        const url = `${this.apiBase}/${this.spreadsheetId}${path}?${params}`;
+        const response = await DataSource.fetch(url, {
+            method,
+            headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+
+        let data = null;
+        try {
+            data = await response.json();
+        } catch (error) {
+            data = null;
+        }
+
+        if (response.status === 401 && auth && !retried && typeof AuthSession !== 'undefined' && AuthSession.state !== 'signed-out') {
+            console.warn('⚠️ Access token ditolak, memperbarui token lalu mengulang request');
+            await AuthSession.refresh();
+            return this.request(path, { method, query, body, auth, retried: true });
+        }
+        if (response.status === 401 && auth && typeof AuthSession !== 'undefined' && AuthSession.state !== 'signed-out') {
+            throw AuthSession.expire('Token ditolak Google Sheets.');
+        }
+
+        if (!response.ok) {
+            const detail = data && data.error && data.error.message;
+            throw new Error(`HTTP ${response.status}: ${detail || response.statusText}`);
+        }
+        if (data && data.error) {
+            throw new Error(data.error.message || 'Google Sheets API error');
+        }
+        return data || {};
+    }
+
+    valuesPath(a1, suffix = '') {
+        return `/values/${encodeURIComponent(this.quotedRange(a1))}${suffix}`;
+    }
+
+    /**
+     * Ambil sheetId dan ukuran grid (jumlah baris/kolom) dari metadata spreadsheet.
+     */
+    async fetchSheetProperties() {
+        const data = await this.request('', { query: { fields: 'sheets.properties' } });
+        const sheet = (data.sheets || []).find(s => s.properties.title === this.sheetName);
+        if (!sheet) {
+            throw new Error(`HTTP 404: Sheet "${this.sheetName}" tidak ditemukan di spreadsheet`);
+        }
+
+        const { sheetId, gridProperties = {} } = sheet.properties;
+        this.sheetId = sheetId;
+        return {
+            sheetId,
+            rowCount: gridProperties.rowCount || 0,
+            columnCount: gridProperties.columnCount || 26
+        };
+    }
+
+    /**
+     * Tab tambahan (mis. SALES) dibuat lewat request addSheet bila belum ada di spreadsheet.
+     */
+    async ensureSheet(header) {
+        const data = await this.request('', { query: { fields: 'sheets.properties' } });
+        if ((data.sheets || []).some(s => s.properties.title === this.sheetName)) {
+            return false;
+        }
+
+        const result = await this.request(':batchUpdate', {
+            method: 'POST',
+            auth: true,
+            body: { requests: [{ addSheet: { properties: { title: this.sheetName } } }] }
+        });
+        this.sheetId = result.replies[0].addSheet.properties.sheetId;
+        await this.update(1, header);
+        console.log(`🧩 Sheet "${this.sheetName}" dibuat`);
+        return true;
+    }
+
+    async getSheetId() {
+        if (this.sheetId === null) {
+            await this.fetchSheetProperties();
+        }
+        return this.sheetId;
+    }
+
+    /**
+     * Muat seluruh sheet per potongan PAGE_SIZE baris sesuai ukuran grid di metadata.
+     * Potongan kosong tidak menghentikan pemuatan: data bisa berlanjut setelah deretan baris kosong.
+     */
+    async list(onProgress) {
+        const { rowCount, columnCount } = await this.fetchSheetProperties();
+        const lastColumn = columnToLetter(columnCount - 1);
+        const rows = [];
+
+        for (let start = 1; start <= rowCount; start += this.pageSize) {
+            const end = Math.min(start + this.pageSize - 1, rowCount);
+            const data = await this.request(this.valuesPath(`A${start}:${lastColumn}${end}`));
+            const chunk = data.values || [];
+
+            // Sheets memotong baris kosong di akhir range; isi ulang agar nomor baris tetap sejajar
+            while (chunk.length < end - start + 1) chunk.push([]);
+            rows.push(...chunk);
+
+            if (onProgress) {
+                onProgress({ loaded: end, total: rowCount });
+            }
+        }
+
+        // Buang baris kosong di akhir grid
+        while (rows.length && rows[rows.length - 1].length === 0) rows.pop();
+        return rows;
+    }
+
+    async get(rowNumber) {
+        // Range "5:5" = seluruh kolom di baris 5
+        const data = await this.request(this.valuesPath(`${rowNumber}:${rowNumber}`), { auth: true });
+        return (data.values && data.values[0]) || [];
+    }
+
+    async create(values) {
+        const [rowNumber] = await this.createMany([values]);
+        return rowNumber;
+    }
+
+    /**
+     * Semua baris ditambahkan dalam satu request append.
+     */
+    async createMany(rows) {
+        if (rows.length === 0) return [];
+
+        const data = await this.request(this.valuesPath('A1', ':append'), {
+            method: 'POST',
+            auth: true,
+            query: { valueInputOption: 'USER_ENTERED', insertDataOption: 'INSERT_ROWS' },
+            body: { values: rows }
+        });
+
+        // updatedRange contoh: 'REKAP CALON PELANGGAN BY SPARTA'!A57:L60
+        const updatedRange = data.updates && data.updates.updatedRange;
+        const match = updatedRange && updatedRange.match(/![A-Z]+(\d+)/);
+        if (!match) return rows.map(() => null);
+        const first = parseInt(match[1], 10);
+        return rows.map((_, index) => first + index);
+    }
+
+    async update(rowNumber, values) {
+        const lastColumn = columnToLetter(values.length - 1);
+        await this.request(this.valuesPath(`A${rowNumber}:${lastColumn}${rowNumber}`), {
+            method: 'PUT',
+            auth: true,
+            query: { valueInputOption: 'USER_ENTERED' },
+            body: { values: [values] }
+        });
+    }
+
+    async delete(rowNumber) {
+        await this.deleteMany([rowNumber]);
+    }
+
+    /**
+     * Semua baris dikirim dalam satu request values:batchUpdate.
+     */
+    async updateMany(updates) {
+        if (updates.length === 0) return;
+
+        await this.request('/values:batchUpdate', {
+            method: 'POST',
+            auth: true,
+            body: {
+                valueInputOption: 'USER_ENTERED',
+                data: updates.map(({ rowNumber, values }) => ({
+                    range: this.quotedRange(`A${rowNumber}:${columnToLetter(values.length - 1)}${rowNumber}`),
+                    values: [values]
+                }))
+            }
+        });
+    }
+
+    /**
+     * Satu request batchUpdate berisi deleteDimension per baris. Request dijalankan berurutan
+     * oleh Sheets, jadi baris diurutkan dari bawah agar indeks berikutnya tidak bergeser.
+     */
+    async deleteMany(rowNumbers) {
+        if (rowNumbers.length === 0) return;
+
+        const sheetId = await this.getSheetId();
+        await this.request(':batchUpdate', {
+            method: 'POST',
+            auth: true,
+            body: {
+                requests: DataSource.descending(rowNumbers).map(rowNumber => ({
+                    deleteDimension: {
+                        range: {
+                            sheetId: sheetId,
+                            dimension: 'ROWS',
+                            startIndex: rowNumber - 1, // 0-based, inklusif
+                            endIndex: rowNumber // eksklusif
+                        }
+                    }
+                }))
+            }
+        });
+    }
+}
+
+/**
+ * Adapter server proxy (server/proxy-server.js) di CONFIG.PROXY_URL.
+ * Kredensial Google Sheets ada di server; setiap request membawa ID token user yang login
+ * dan server hanya mengembalikan/mengizinkan baris sesuai role user tersebut.
+ */
+class ProxyDataSource extends DataSource {
+    constructor({ baseUrl, resource, getToken = () => null }) {
+        super('proxy');
+        this.baseUrl = String(baseUrl || '').replace(/\/+$/, '');
+        this.resource = resource;
+        this.getToken = getToken;
+    }
+
+    async request(path = '', { method = 'GET', query = {}, body } = {}) {
+        const headers = { 'Accept': 'application/json' };
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+        const token = this.getToken();
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+
+        const params = new URLSearchParams(query).toString();
+        const response = await DataSource.fetch(`${this.baseUrl}/${this.resource}${path}${params ? `?${params}` : ''}`, {
+            method,
+            headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+
+        let data = null;
+        try {
+            data = await response.json();
+        } catch (error) {
+            data = null;
+        }
+
+        // ID token Google berlaku 1 jam; setelah itu user harus masuk lagi
+        if (response.status === 401 && token && typeof AuthSession !== 'undefined') {
+            throw AuthSession.expire('ID token ditolak server.');
+        }
+        if (!response.ok) {
+            const detail = data && data.error && data.error.message;
+            throw new Error(`HTTP ${response.status}: ${detail || response.statusText}`);
+        }
+        return data || {};
+    }
+
+    /**
+     * Server hanya mengirim baris yang boleh dilihat user; baris lain diisi kosong
+     * supaya indeks array tetap sama dengan nomor baris.
+     */
+    async list(onProgress) {
+        const data = await this.request();
+        if (!data.header || data.header.length === 0) return [];
+
+        const rows = [data.header];
+        (data.rows || []).forEach(({ id, values }) => {
+            rows[id - 1] = values;
+        });
+        for (let index = 0; index < rows.length; index++) {
+            if (!rows[index]) rows[index] = [];
+        }
+
+        if (onProgress) {
+            onProgress({ loaded: rows.length, total: rows.length });
+        }
+        return rows;
+    }
+
+    async get(rowNumber) {
+        const data = await this.request(`/${rowNumber}`);
+        return data.values || [];
+    }
+
+    async create(values) {
+        const [rowNumber] = await this.createMany([values]);
+        return rowNumber;
+    }
+
+    async createMany(rows) {
+        if (rows.length === 0) return [];
+        const data = await this.request('', { method: 'POST', body: { rows } });
+        return data.ids || rows.map(() => null);
+    }
+
+    async update(rowNumber, values) {
+        await this.request(`/${rowNumber}`, { method: 'PUT', body: { values } });
+    }
+
+    async updateMany(updates) {
+        if (updates.length === 0) return;
+        await this.request('', {
+            method: 'PATCH',
+            body: { updates: updates.map(({ rowNumber, values }) => ({ id: rowNumber, values })) }
+        });
+    }
+
+    async delete(rowNumber) {
+        await this.request(`/${rowNumber}`, { method: 'DELETE' });
+    }
+
+    async deleteMany(rowNumbers) {
+        if (rowNumbers.length === 0) return;
+        await this.request('', { method: 'DELETE', query: { ids: DataSource.descending(rowNumbers).join(',') } });
+    }
+
+    /**
+     * Role user yang login menurut server (resource users). Email yang tidak terdaftar ditolak 403.
+     * @returns {Promise<{ email: string, role: string, nama_sales: string }>}
+     */
+    async currentUser() {
+        return this.request('/me');
+    }
+
+    /**
+     * Cari duplikat di server, termasuk customer yang tidak dikirim ke user ini. Untuk customer
+     * tersebut server hanya mengembalikan { id, nama_sales, hidden: true }.
+     * @returns {Promise<{ record: Object, reason: string }[]>}
+     */
+    async findDuplicates(record, excludeId = null) {
+        const data = await this.request('/duplicates', {
+            method: 'POST',
+            body: {
+                record: { nama: record.nama || '', alamat: record.alamat || '', no_telepon: record.no_telepon || '' },
+                excludeId
+            }
+        });
+        return data.matches || [];
+    }
+
+    // Server membuat tab dan header-nya; user tanpa hak baca (mis. sales untuk AUDIT) tetap bisa memakainya
+    async ensureSheet(header) {
+        const data = await this.request('/header', { method: 'POST', body: { header } });
+        return Boolean(data.created);
+    }
+}
+
+/**
+ * Adapter in-memory. Cocok untuk demo dan pengujian; data hilang saat reload.
+ */
+class MemoryDataSource extends DataSource {
+    constructor(rows = DEMO_DATA, name = 'memory') {
+        super(name);
+        this.rows = rows.map(row => [...row]);
+    }
+
+    assertRow(rowNumber, min = 1) {
+        if (!Number.isInteger(rowNumber) || rowNumber < min || rowNumber > this.rows.length) {
+            throw new Error(`Baris ${rowNumber} tidak ditemukan`);
+        }
+    }
+
+    async list(onProgress) {
+        if (onProgress) {
+            onProgress({ loaded: this.rows.length, total: this.rows.length });
+        }
+        return this.rows.map(row => [...row]);
+    }
+
+    async get(rowNumber) {
+        this.assertRow(rowNumber);
+        return [...this.rows[rowNumber - 1]];
+    }
+
+    async create(values) {
+        this.rows.push([...values]);
+        await this.persist();
+        return this.rows.length;
+    }
+
+    async update(rowNumber, values) {
+        this.assertRow(rowNumber);
+        this.rows[rowNumber - 1] = [...values];
+        await this.persist();
+    }
+
+    async delete(rowNumber) {
+        this.assertRow(rowNumber, 2); // header tidak boleh dihapus
+        this.rows.splice(rowNumber - 1, 1);
+        await this.persist();
+    }
+
+    async createMany(rows) {
+        const first = this.rows.length + 1;
+        rows.forEach(values => this.rows.push([...values]));
+        await this.persist();
+        return rows.map((_, index) => first + index);
+    }
+
+    // Validasi semua baris dulu agar perubahan massal tidak berhenti di tengah jalan
+    async updateMany(updates) {
+        updates.forEach(({ rowNumber }) => this.assertRow(rowNumber));
+        updates.forEach(({ rowNumber, values }) => {
+            this.rows[rowNumber - 1] = [...values];
+        });
+        await this.persist();
+    }
+
+    async deleteMany(rowNumbers) {
+        const sorted = DataSource.descending(rowNumbers);
+        sorted.forEach(rowNumber => this.assertRow(rowNumber, 2));
+        sorted.forEach(rowNumber => this.rows.splice(rowNumber - 1, 1));
+        await this.persist();
+    }
+
+    async persist() {
+        // Memory adapter tidak menyimpan apa pun
+    }
+}
+
+/**
+ * Adapter lokal: isi awal dari file JSON, perubahan disimpan di IndexedDB browser.
+ * File JSON boleh berupa array 2D atau objek { values: [...] } seperti respons Sheets API.
+ * Tanpa url, isi awal diambil dari defaultRows (dipakai untuk tab tambahan).
+ */
+class LocalDataSource extends MemoryDataSource {
+    constructor({ url, dbName = 'calonPelangganLocal', defaultRows = null }) {
+        super([], 'local');
+        this.url = url;
+        this.defaultRows = defaultRows;
+        this.store = new IdbKeyValueStore(dbName);
+        this.loaded = false;
+    }
+
+    async load() {
+        if (this.loaded) return;
+
+        let rows = null;
+        try {
+            rows = await this.store.get('rows');
+        } catch (error) {
+            console.warn('⚠️ IndexedDB tidak tersedia, data lokal tidak akan tersimpan:', error.message);
+        }
+
+        if (!rows && !this.url && this.defaultRows) {
+            rows = this.defaultRows;
+        }
+        if (!rows) {
+            if (!this.url) {
+                throw new Error('LOCAL_DATA_URL belum diatur di config.js');
+            }
+            const response = await fetch(this.url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            const json = await response.json();
+            rows = Array.isArray(json) ? json : (json.values || []);
+        }
+
+        this.rows = rows.map(row => [...row]);
+        this.loaded = true;
+    }
+
+    async list(onProgress) {
+        await this.load();
+        return super.list(onProgress);
+    }
+
+    async get(rowNumber) {
+        await this.load();
+        return super.get(rowNumber);
+    }
+
+    async create(values) {
+        await this.load();
+        return super.create(values);
+    }
+
+    async update(rowNumber, values) {
+        await this.load();
+        return super.update(rowNumber, values);
+    }
+
+    async delete(rowNumber) {
+        await this.load();
+        return super.delete(rowNumber);
+    }
+
+    async createMany(rows) {
+        await this.load();
+        return super.createMany(rows);
+    }
+
+    async updateMany(updates) {
+        await this.load();
+        return super.updateMany(updates);
+    }
+
+    async deleteMany(rowNumbers) {
+        await this.load();
+        return super.deleteMany(rowNumbers);
+    }
+
+    async persist() {
+        try {
+            await this.store.set('rows', this.rows);
+        } catch (error) {
+            console.warn('⚠️ Gagal menyimpan data lokal:', error.message);
+        }
+    }
+
+    // Hapus perubahan lokal dan kembali ke isi file JSON
+    async reset() {
+        await this.store.delete('rows');
+        this.loaded = false;
+    }
+}
+
+/**
+ * Memilih adapter berdasarkan CONFIG.DATA_SOURCE.
+ * Tanpa opsi, adapter mengarah ke sheet data calon pelanggan (CONFIG.SHEET_NAME). Tab lain
+ * (mis. daftar sales) memakai opsi sheetName dan defaultRows sebagai isi awal untuk adapter lokal/memory.
+ * Hanya sheet utama yang dibungkus OfflineDataSource (offline-sync.js) jika CONFIG.OFFLINE_MODE aktif.
+ */
+function createDataSource(config, { sheetName = config.SHEET_NAME, defaultRows = [] } = {}) {
+    const isMainSheet = sheetName === config.SHEET_NAME;
+    const type = (config.DATA_SOURCE || 'sheets').toLowerCase();
+    switch (type) {
+        case 'local':
+            return isMainSheet
+                ? new LocalDataSource({ url: config.LOCAL_DATA_URL })
+                : new LocalDataSource({ dbName: `calonPelangganLocal-${sheetName}`, defaultRows });
+        case 'memory':
+            return new MemoryDataSource(isMainSheet ? DEMO_DATA : defaultRows);
+        case 'proxy': {
+            const resources = {
+                [config.SHEET_NAME]: 'customers',
+                [config.SALES_SHEET_NAME]: 'sales',
+                [config.AUDIT_SHEET_NAME]: 'audit',
+                [config.TRASH_SHEET_NAME]: 'trash',
+                [config.USERS_SHEET_NAME]: 'users'
+            };
+            if (!resources[sheetName]) {
+                throw new Error(`Sheet "${sheetName}" tidak tersedia lewat proxy`);
+            }
+            const source = new ProxyDataSource({
+                baseUrl: config.PROXY_URL,
+                resource: resources[sheetName],
+                getToken: () => (typeof getCurrentIdToken === 'function' ? getCurrentIdToken() : null)
+            });
+            return isMainSheet && config.OFFLINE_MODE && typeof OfflineDataSource !== 'undefined'
+                ? new OfflineDataSource(source)
+                : source;
+        }
+        case 'sheets': {
+            const source = new GoogleSheetsDataSource({
+                spreadsheetId: config.SPREADSHEET_ID,
+                apiKey: config.API_KEY,
+                sheetName,
+                apiBase: config.API_BASE,
+                pageSize: config.PAGE_SIZE
+            });
+            return isMainSheet && config.OFFLINE_MODE && typeof OfflineDataSource !== 'undefined'
+                ? new OfflineDataSource(source)
+                : source;
+        }
+        default:
+            throw new Error(`DATA_SOURCE tidak dikenal: ${config.DATA_SOURCE}`);
+    }
+}
@@ -46,12 +46,23 @@
             z-index: 9999;
         `;
         
-        debugDiv.innerHTML = `
-            <h4>Debug Info (${errors.length} errors)</h4>
-            <button onclick="this.parentElement.remove()">Close</button>
-            <button onclick="localStorage.removeItem('dashboardErrors');location.reload()">Clear & Reload</button>
-            <pre>${JSON.stringify(errors, null, 2)}</pre>
-        `;
+        // Dibangun lewat DOM API: isi error bisa berisi HTML dan tidak boleh dijalankan
+        const title = document.createElement('h4');
+        title.textContent = `Debug Info (${errors.length} errors)`;
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.textContent = 'Close';
+        closeButton.addEventListener('click', () => debugDiv.remove());
+        const clearButton = document.createElement('button');
+        clearButton.type = 'button';
+        clearButton.textContent = 'Clear & Reload';
+        clearButton.addEventListener('click', () => {
+            localStorage.removeItem('dashboardErrors');
+            location.reload();
+        });
+        const details = document.createElement('pre');
+        details.textContent = JSON.stringify(errors, null, 2);
+        debugDiv.append(title, closeButton, clearButton, details);
         
         document.body.appendChild(debugDiv);
     };
@@ -0,0 +1,123 @@
+/**
+ * ID Token - validasi ID token Google Sign-In di browser
+ *
+ * Dipakai untuk memulihkan sesi setelah reload: token yang tersimpan hanya diterima jika
+ * tanda tangannya cocok dengan kunci publik Google (JWKS, diverifikasi dengan WebCrypto),
+ * issuer-nya Google, audience-nya CLIENT_ID aplikasi ini, dan belum kedaluwarsa.
+ *
+ * Kunci publik bersifat publik dan disimpan di localStorage supaya sesi tetap bisa divalidasi
+ * saat offline selama kuncinya belum dirotasi Google.
+ */
+
+const IdToken = {
+    JWKS_URL: 'https://www.googleapis.com/oauth2/v3/certs',
+    ISSUERS: ['accounts.google.com', 'https://accounts.google.com'],
+    JWKS_STORAGE_KEY: 'googleJwks',
+    JWKS_MAX_AGE_MS: 6 * 60 * 60 * 1000, // ambil ulang kunci setelah 6 jam
+    CLOCK_SKEW_S: 60, // toleransi selisih jam perangkat
+
+    base64UrlDecode(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+        return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+    },
+
+    decodePart(text) {
+        return JSON.parse(new TextDecoder().decode(this.base64UrlDecode(text)));
+    },
+
+    /**
+     * Baca header dan klaim tanpa validasi. Jangan dipakai untuk keputusan akses.
+     * @returns {{ header: Object, claims: Object, signedPart: string, signature: Uint8Array }}
+     */
+    decode(token) {
+        const parts = String(token || '').split('.');
+        if (parts.length !== 3) throw new Error('Format ID token tidak valid');
+        return {
+            header: this.decodePart(parts[0]),
+            claims: this.decodePart(parts[1]),
+            signedPart: `${parts[0]}.${parts[1]}`,
+            signature: this.base64UrlDecode(parts[2])
+        };
+    },
+
+    readCachedKeys() {
+        try {
+            return JSON.parse(localStorage.getItem(this.JWKS_STORAGE_KEY) || 'null');
+        } catch (error) {
+            return null;
+        }
+    },
+
+    async fetchKeys() {
+        const response = await fetch(this.JWKS_URL);
+        if (!response.ok) throw new Error(`HTTP ${response.status}: kunci publik Google tidak bisa diambil`);
+        const { keys } = await response.json();
+        const cached = { keys, fetchedAt: Date.now() };
+        localStorage.setItem(this.JWKS_STORAGE_KEY, JSON.stringify(cached));
+        return cached;
+    },
+
+    /**
+     * Kunci publik dengan kid tertentu. Cache dipakai jika masih baru atau jika Google tidak
+     * bisa dihubungi; kid yang tidak dikenal memicu pengambilan ulang (kunci baru dirotasi).
+     */
+    async findKey(kid) {
+        const cached = this.readCachedKeys();
+        const cachedKey = cached && cached.keys.find(key => key.kid === kid);
+        if (cachedKey && Date.now() - cached.fetchedAt < this.JWKS_MAX_AGE_MS) return cachedKey;
+
+        try {
+            const fresh = await this.fetchKeys();
+            const key = fresh.keys.find(item => item.kid === kid);
+            if (key) return key;
+        } catch (error) {
+            if (cachedKey) {
+                console.warn('⚠️ Kunci publik Google tidak bisa diambil, memakai cache:', error.message);
+                return cachedKey;
+            }
+            throw error;
+        }
+        throw new Error('Kunci penanda tangan ID token tidak dikenal');
+    },
+
+    async verifySignature({ header, signedPart, signature }) {
+        if (header.alg !== 'RS256') throw new Error(`Algoritma ID token tidak didukung: ${header.alg}`);
+
+        const jwk = await this.findKey(header.kid);
+        const key = await crypto.subtle.importKey(
+            'jwk',
+            { kty: jwk.kty, n: jwk.n, e: jwk.e, alg: 'RS256', ext: true },
+            { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+            false,
+            ['verify']
+        );
+        const valid = await crypto.subtle.verify('RSASSA-PKCS1-v1_5', key, signature, new TextEncoder().encode(signedPart));
+        if (!valid) throw new Error('Tanda tangan ID token tidak valid');
+    },
+
+    checkClaims(claims, clientId, now = Date.now() / 1000) {
+        if (!this.ISSUERS.includes(claims.iss)) throw new Error('Issuer ID token bukan Google');
+        const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+        if (!audiences.includes(clientId)) throw new Error('ID token bukan untuk aplikasi ini');
+        if (!claims.exp || claims.exp + this.CLOCK_SKEW_S < now) throw new Error('ID token sudah kedaluwarsa');
+        if (claims.iat && claims.iat - this.CLOCK_SKEW_S > now) throw new Error('ID token diterbitkan di masa depan');
+        if (!claims.email || claims.email_verified === false) throw new Error('Email akun belum terverifikasi');
+    },
+
+    /**
+     * Validasi lengkap ID token. Melempar error jika token tidak bisa dipercaya.
+     * @returns {Promise<Object>} Klaim token (email, name, exp, ...)
+     */
+    async verify(token, clientId) {
+        const decoded = this.decode(token);
+        this.checkClaims(decoded.claims, clientId);
+        await this.verifySignature(decoded);
+        return decoded.claims;
+    }
+};
+
+// Dipakai juga oleh server/proxy-server.js (Node)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IdToken;
+}
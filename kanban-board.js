@@ -0,0 +1,171 @@
+/**
+ * Kanban Board - tampilan pipeline per status customer
+ *
+ * Satu kolom per status dan satu kartu per customer dari hasil filter yang sama dengan tabel.
+ * Kartu yang dipindah ke kolom lain disimpan lewat integration.saveRecord, jalur tulis yang
+ * sama dengan form edit (termasuk cek konflik dengan perubahan pengguna lain).
+ */
+
+const KanbanBoard = {
+    integration: null,
+    view: 'table',
+    columnStatuses: [], // status per indeks kolom yang sedang tampil
+
+    // Urutan kolom tetap; status lain yang ditemukan di data ditambahkan di belakang
+    STATUSES: ['Baru', 'Follow Up', 'Survey', 'Pending', 'Diterima', 'Tidak Diterima'],
+    NO_STATUS: '',
+
+    // Batas kartu per kolom agar board tetap ringan untuk data besar
+    CARD_LIMIT: 100,
+
+    attach(integration) {
+        this.integration = integration;
+
+        document.querySelectorAll('[data-view]').forEach(button => {
+            button.addEventListener('click', () => this.setView(button.dataset.view));
+        });
+
+        const board = document.getElementById('kanbanBoard');
+        if (!board) return;
+
+        board.addEventListener('dragstart', event => {
+            const card = event.target.closest('.kanban-card');
+            if (!card) return;
+            event.dataTransfer.setData('text/plain', card.dataset.id);
+            event.dataTransfer.effectAllowed = 'move';
+            card.classList.add('dragging');
+        });
+
+        board.addEventListener('dragend', event => {
+            const card = event.target.closest('.kanban-card');
+            if (card) card.classList.remove('dragging');
+            board.querySelectorAll('.drag-over').forEach(column => column.classList.remove('drag-over'));
+        });
+
+        board.addEventListener('dragover', event => {
+            const column = event.target.closest('.kanban-column[data-droppable]');
+            if (!column) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+            board.querySelectorAll('.drag-over').forEach(other => {
+                if (other !== column) other.classList.remove('drag-over');
+            });
+            column.classList.add('drag-over');
+        });
+
+        board.addEventListener('drop', event => {
+            const column = event.target.closest('.kanban-column[data-droppable]');
+            if (!column) return;
+            event.preventDefault();
+            column.classList.remove('drag-over');
+            this.move(Number(event.dataTransfer.getData('text/plain')), this.columnStatuses[column.dataset.column]);
+        });
+
+        // Klik kartu membuka form edit (juga jalan untuk layar sentuh yang tidak mendukung drag)
+        board.addEventListener('click', event => {
+            const card = event.target.closest('.kanban-card');
+            if (card) integration.editRow(Number(card.dataset.id));
+        });
+    },
+
+    setView(view) {
+        this.view = view;
+        document.querySelectorAll('[data-view]').forEach(button => {
+            button.classList.toggle('active', button.dataset.view === view);
+        });
+
+        const isBoard = view === 'board';
+        document.querySelectorAll('.table-container, .table-footer').forEach(element => {
+            element.hidden = isBoard;
+        });
+        document.getElementById('kanbanBoard').hidden = !isBoard;
+
+        if (isBoard) this.render(this.integration.viewData);
+    },
+
+    /**
+     * Kelompokkan record per status dengan urutan kolom STATUSES.
+     * @returns {{ status: string, records: Object[] }[]}
+     */
+    columns(records) {
+        const groups = new Map(this.STATUSES.map(status => [status, []]));
+        records.forEach(record => {
+            const status = record.status || this.NO_STATUS;
+            if (!groups.has(status)) groups.set(status, []);
+            groups.get(status).push(record);
+        });
+
+        // Kolom tanpa status hanya muncul jika ada isinya, dan selalu di depan
+        const columns = [...groups.entries()].map(([status, items]) => ({ status, records: items }));
+        const empty = columns.findIndex(column => column.status === this.NO_STATUS);
+        if (empty !== -1) columns.unshift(...columns.splice(empty, 1));
+        return columns;
+    },
+
+    render(records) {
+        const board = document.getElementById('kanbanBoard');
+        if (!board || this.view !== 'board') return;
+
+        const columns = this.columns(records);
+        this.columnStatuses = columns.map(column => column.status);
+
+        const markup = columns.map(({ status, records: items }, index) => {
+            const shown = items.slice(0, this.CARD_LIMIT);
+            const hidden = items.length - shown.length;
+            const droppable = status !== this.NO_STATUS;
+            return html`
+                <div class="kanban-column" data-column="${index}" ${droppable && html`data-droppable`}>
+                    <div class="kanban-column-header">
+                        <span class="status ${this.integration.getStatusClass(status)}">${status || 'Tanpa Status'}</span>
+                        <span class="kanban-count">${items.length}</span>
+                    </div>
+                    <div class="kanban-cards">
+                        ${shown.map(record => this.renderCard(record))}
+                        ${hidden > 0 && html`<p class="kanban-more">+${hidden} lainnya, persempit dengan filter</p>`}
+                    </div>
+                </div>
+            `;
+        });
+        SafeHtml.render(board, html`${markup}`);
+    },
+
+    renderCard(record) {
+        return html`
+            <div class="kanban-card" draggable="true" data-id="${record.id}" title="Klik untuk edit, seret untuk ubah status">
+                <strong>${record.nama}</strong>
+                <small><i class="fas fa-network-wired"></i> ${record.odp_terdekat || '-'}</small>
+                <small><i class="fas fa-user-tie"></i> ${record.nama_sales || '-'}</small>
+            </div>
+        `;
+    },
+
+    async move(id, status) {
+        const integration = this.integration;
+        const record = integration.findRecord(id);
+        if (!record || record.status === status) return;
+
+        // Pindahkan kartu lebih dulu supaya board terasa responsif; dikembalikan jika gagal
+        const previous = record.status;
+        record.status = status;
+        this.render(integration.viewData);
+
+        try {
+            const snapshot = { ...record, status: previous };
+            const result = await integration.saveRecord(id, { ...record }, snapshot);
+            if (result === 'saved') {
+                integration.showMessage(integration.writeSuccessMessage(`${record.nama} dipindah ke ${status}`), 'success');
+                integration.refreshData();
+            } else if (result === 'reload') {
+                integration.refreshData();
+            } else {
+                record.status = previous;
+                this.render(integration.viewData);
+            }
+        } catch (error) {
+            console.error('❌ Kanban move error:', error);
+            record.status = previous;
+            this.render(integration.viewData);
+            integration.showError('Gagal mengubah status: ' + error.message);
+        }
+    }
+};
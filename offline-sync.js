@@ -0,0 +1,553 @@
+/**
+ * Offline Sync - cache dataset terakhir dan antrean perubahan (outbox) di IndexedDB
+ *
+ * OfflineDataSource membungkus adapter remote (Google Sheets):
+ * - list() berhasil  -> dataset disimpan ke cache
+ * - list() gagal karena offline -> dataset dari cache
+ * - create/update/delete saat offline -> masuk outbox dan langsung diterapkan ke cache
+ * - createMany/updateMany/deleteMany saat offline -> dipecah menjadi item outbox per baris
+ * - queueDeleteMany -> hapus yang membawa salinan tempat sampah, ditulis lewat onTrash() saat replay
+ * - saat online kembali, outbox diputar ulang berurutan ke remote
+ */
+
+class OfflineDataSource extends DataSource {
+    constructor(remote, { dbName = 'calonPelangganOffline' } = {}) {
+        super(remote.name);
+        this.remote = remote;
+        this.store = new IdbKeyValueStore(dbName);
+        this.outbox = null;
+        this.syncPromise = null;
+        this.listeners = [];
+        this.trashHandler = null;
+        this.status = {
+            online: typeof navigator === 'undefined' ? true : navigator.onLine,
+            fromCache: false,
+            cachedAt: null,
+            syncing: false,
+            lastSyncedAt: null
+        };
+        this.lastWriteQueued = false;
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', () => {
+                this.setStatus({ online: true });
+                this.sync().then(result => {
+                    if (result.synced > 0) this.emit('synced', result);
+                });
+            });
+            window.addEventListener('offline', () => this.setStatus({ online: false }));
+        }
+    }
+
+    // ---------------------------------------------------------------------
+    // Status & event
+    // ---------------------------------------------------------------------
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Penulis salinan tempat sampah untuk item hapus dari queueDeleteMany().
+     * @param {(entries: Object[]) => Promise<*>} handler
+     */
+    onTrash(handler) {
+        this.trashHandler = handler;
+    }
+
+    emit(type, detail) {
+        this.listeners.forEach(listener => {
+            try {
+                listener(type, detail);
+            } catch (error) {
+                console.error('❌ Offline listener error:', error);
+            }
+        });
+    }
+
+    setStatus(patch) {
+        Object.assign(this.status, patch);
+        this.emit('status', this.getStatus());
+    }
+
+    getStatus() {
+        const items = this.outbox || [];
+        return {
+            ...this.status,
+            pending: items.filter(item => item.status === 'pending').length,
+            failed: items.filter(item => item.status === 'failed').length
+        };
+    }
+
+    isNetworkError(error) {
+        // Hanya error yang ditandai DataSource.fetch(); TypeError lain adalah bug dan harus terlihat
+        return !navigator.onLine || Boolean(error && error.offline);
+    }
+
+    // ---------------------------------------------------------------------
+    // Cache & outbox
+    // ---------------------------------------------------------------------
+
+    async loadOutbox() {
+        if (!this.outbox) {
+            try {
+                this.outbox = (await this.store.get('outbox')) || [];
+            } catch (error) {
+                console.warn('⚠️ Outbox tidak bisa dibaca:', error.message);
+                this.outbox = [];
+            }
+        }
+        return this.outbox;
+    }
+
+    async saveOutbox() {
+        await this.store.set('outbox', this.outbox);
+        this.emit('status', this.getStatus());
+    }
+
+    async getOutbox() {
+        return [...(await this.loadOutbox())];
+    }
+
+    /**
+     * Hapus dataset dan outbox (saat logout). Perubahan yang belum tersinkron ikut hilang.
+     */
+    async clear() {
+        await this.store.delete('dataset');
+        await this.store.delete('outbox');
+        this.outbox = [];
+        this.setStatus({ fromCache: false, cachedAt: null });
+    }
+
+    async readCache() {
+        try {
+            return await this.store.get('dataset');
+        } catch (error) {
+            console.warn('⚠️ Cache tidak bisa dibaca:', error.message);
+            return null;
+        }
+    }
+
+    async writeCache(values) {
+        try {
+            await this.store.set('dataset', { values, savedAt: new Date().toISOString() });
+        } catch (error) {
+            console.warn('⚠️ Gagal menyimpan cache:', error.message);
+        }
+    }
+
+    async applyToCache(item) {
+        const [rowNumber] = await this.applyAllToCache([item]);
+        return rowNumber;
+    }
+
+    /**
+     * Terapkan beberapa perubahan berurutan dengan sekali baca/tulis cache.
+     * Mengembalikan nomor baris hasil tiap perubahan.
+     */
+    async applyAllToCache(items) {
+        const cached = await this.readCache();
+        if (!cached) return items.map(() => null);
+
+        const values = cached.values;
+        const rowNumbers = items.map(item => {
+            if (item.type === 'create') {
+                values.push(item.values);
+                return values.length;
+            }
+            if (item.type === 'update') {
+                values[item.rowNumber - 1] = item.values;
+            } else if (item.type === 'delete') {
+                values.splice(item.rowNumber - 1, 1);
+            }
+            return item.rowNumber;
+        });
+
+        await this.store.set('dataset', { ...cached, values });
+        return rowNumbers;
+    }
+
+    async enqueue(type, rowNumber, values) {
+        const [result] = await this.enqueueAll([{ type, rowNumber, values }]);
+        return result;
+    }
+
+    async enqueueAll(changes) {
+        await this.loadOutbox();
+
+        // Simpan isi baris sebelum perubahan agar replay bisa mendeteksi konflik.
+        // Perubahan diterapkan berurutan, jadi "before" dibaca dari salinan yang ikut diperbarui.
+        const cached = await this.readCache();
+        const snapshot = cached ? [...cached.values] : [];
+
+        const items = changes.map(({ type, rowNumber, values, trash = null }) => {
+            const before = type !== 'create' && snapshot[rowNumber - 1] ? snapshot[rowNumber - 1] : null;
+            if (type === 'update') snapshot[rowNumber - 1] = values;
+            if (type === 'delete') snapshot.splice(rowNumber - 1, 1);
+
+            return {
+                id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+                type,
+                rowNumber,
+                values,
+                before,
+                trash,
+                createdAt: new Date().toISOString(),
+                status: 'pending',
+                error: null
+            };
+        });
+
+        this.outbox.push(...items);
+        await this.saveOutbox();
+        console.log(`📥 Queued ${items.length} offline change(s)`, items);
+
+        this.lastWriteQueued = true;
+        return this.applyAllToCache(items);
+    }
+
+    // ---------------------------------------------------------------------
+    // DataSource interface
+    // ---------------------------------------------------------------------
+
+    async list(onProgress) {
+        try {
+            if (!navigator.onLine) {
+                throw DataSource.offlineError();
+            }
+
+            // Kirim dulu perubahan yang tertunda agar data yang dibaca sudah terbaru
+            await this.loadOutbox();
+            if (this.outbox.some(item => item.status === 'pending')) {
+                await this.sync();
+            }
+
+            const values = await this.remote.list(onProgress);
+            await this.writeCache(values);
+            this.setStatus({ online: true, fromCache: false, cachedAt: null });
+            return values;
+
+        } catch (error) {
+            if (!this.isNetworkError(error)) throw error;
+
+            const cached = await this.readCache();
+            if (!cached) throw error;
+
+            console.warn('📴 Offline, menggunakan data cache dari', cached.savedAt);
+            this.setStatus({ online: false, fromCache: true, cachedAt: cached.savedAt });
+            return cached.values;
+        }
+    }
+
+    async get(rowNumber) {
+        try {
+            if (!navigator.onLine) throw DataSource.offlineError();
+            return await this.remote.get(rowNumber);
+        } catch (error) {
+            if (!this.isNetworkError(error)) throw error;
+            const cached = await this.readCache();
+            if (!cached) throw error;
+            return cached.values[rowNumber - 1] || [];
+        }
+    }
+
+    async write(type, rowNumber, values, operation) {
+        this.lastWriteQueued = false;
+        try {
+            if (!navigator.onLine) throw DataSource.offlineError();
+            const result = await operation();
+            // Jaga cache tetap sama dengan remote
+            await this.applyToCache({ type, rowNumber: type === 'create' ? null : rowNumber, values });
+            return result;
+        } catch (error) {
+            if (!this.isNetworkError(error)) throw error;
+            this.setStatus({ online: false });
+            return this.enqueue(type, rowNumber, values);
+        }
+    }
+
+    create(values) {
+        return this.write('create', null, values, () => this.remote.create(values));
+    }
+
+    update(rowNumber, values) {
+        return this.write('update', rowNumber, values, () => this.remote.update(rowNumber, values));
+    }
+
+    delete(rowNumber) {
+        return this.write('delete', rowNumber, null, () => this.remote.delete(rowNumber));
+    }
+
+    async writeAll(changes, operation) {
+        this.lastWriteQueued = false;
+        try {
+            if (!navigator.onLine) throw DataSource.offlineError();
+            const result = await operation();
+            await this.applyAllToCache(changes);
+            return result;
+        } catch (error) {
+            if (!this.isNetworkError(error)) throw error;
+            this.setStatus({ online: false });
+            return this.enqueueAll(changes);
+        }
+    }
+
+    createMany(rows) {
+        const changes = rows.map(values => ({ type: 'create', rowNumber: null, values }));
+        return this.writeAll(changes, () => this.remote.createMany(rows));
+    }
+
+    updateMany(updates) {
+        const changes = updates.map(({ rowNumber, values }) => ({ type: 'update', rowNumber, values }));
+        return this.writeAll(changes, () => this.remote.updateMany(updates));
+    }
+
+    deleteMany(rowNumbers) {
+        const changes = DataSource.descending(rowNumbers).map(rowNumber => ({ type: 'delete', rowNumber, values: null }));
+        return this.writeAll(changes, () => this.remote.deleteMany(rowNumbers));
+    }
+
+    /**
+     * Antrekan hapus tanpa mencoba remote, beserta salinan tempat sampah tiap baris
+     * (sejajar dengan rowNumbers). Dipakai saat salinan sampah tidak bisa ditulis karena offline;
+     * saat replay, salinan ditulis lewat onTrash() tepat sebelum barisnya dihapus.
+     */
+    queueDeleteMany(rowNumbers, trashEntries) {
+        const trashByRow = new Map(rowNumbers.map((rowNumber, index) => [rowNumber, trashEntries[index]]));
+        this.setStatus({ online: false });
+        return this.enqueueAll(DataSource.descending(rowNumbers).map(rowNumber => ({
+            type: 'delete',
+            rowNumber,
+            values: null,
+            trash: trashByRow.get(rowNumber) || null
+        })));
+    }
+
+    // ---------------------------------------------------------------------
+    // Sinkronisasi
+    // ---------------------------------------------------------------------
+
+    sameRow(a, b) {
+        const normalize = row => (row || []).map(value => String(value || '').trim()).join('\u0000').replace(/\u0000+$/, '');
+        return normalize(a) === normalize(b);
+    }
+
+    async replay(item) {
+        if (item.type === 'create') {
+            await this.remote.create(item.values);
+            return;
+        }
+
+        // Jangan timpa/hapus baris yang sudah diubah orang lain selama kita offline
+        const current = await this.remote.get(item.rowNumber);
+        if (item.before && !this.sameRow(current, item.before)) {
+            throw new Error(`Baris ${item.rowNumber} sudah berubah di sheet sejak perubahan ini dibuat`);
+        }
+
+        if (item.type === 'update') {
+            await this.remote.update(item.rowNumber, item.values);
+            return;
+        }
+
+        if (item.trash) {
+            if (!this.trashHandler) throw new Error('Tempat sampah belum siap, salinan data tidak bisa disimpan');
+            await this.trashHandler([item.trash]);
+            // Salinan sudah tersimpan: jangan ditulis lagi jika hapusnya gagal lalu dicoba ulang
+            item.trash = null;
+            await this.saveOutbox();
+        }
+        await this.remote.delete(item.rowNumber);
+    }
+
+    sync() {
+        if (!this.syncPromise) {
+            this.syncPromise = this.runSync().finally(() => {
+                this.syncPromise = null;
+            });
+        }
+        return this.syncPromise;
+    }
+
+    async runSync() {
+        await this.loadOutbox();
+        const result = { synced: 0, failed: 0 };
+        if (!this.outbox.some(item => item.status === 'pending')) return result;
+
+        console.log('🔄 Syncing offline outbox...');
+        this.setStatus({ syncing: true });
+
+        try {
+            for (const item of [...this.outbox]) {
+                if (item.status !== 'pending') continue;
+
+                try {
+                    await this.replay(item);
+                    this.outbox = this.outbox.filter(entry => entry.id !== item.id);
+                    result.synced++;
+                } catch (error) {
+                    if (this.isNetworkError(error)) {
+                        console.warn('📴 Sync dihentikan, koneksi terputus');
+                        this.setStatus({ online: false });
+                        break;
+                    }
+                    item.status = 'failed';
+                    item.error = error.message;
+                    result.failed++;
+                    console.error('❌ Sync item failed:', item, error);
+                }
+                await this.saveOutbox();
+            }
+        } finally {
+            this.setStatus({ syncing: false, lastSyncedAt: new Date().toISOString() });
+        }
+
+        console.log('✅ Sync finished:', result);
+        return result;
+    }
+
+    async retry(itemId) {
+        await this.loadOutbox();
+        const item = this.outbox.find(entry => entry.id === itemId);
+        if (item) {
+            item.status = 'pending';
+            item.error = null;
+            await this.saveOutbox();
+        }
+        return this.sync();
+    }
+
+    async discard(itemId) {
+        await this.loadOutbox();
+        this.outbox = this.outbox.filter(entry => entry.id !== itemId);
+        await this.saveOutbox();
+    }
+}
+
+/**
+ * Indikator status sinkronisasi di header dan daftar perubahan yang gagal.
+ */
+const SyncStatusIndicator = {
+    source: null,
+
+    attach(source, { onSynced } = {}) {
+        this.source = source;
+        source.onChange((type, detail) => {
+            if (type === 'status') this.render(detail);
+            if (type === 'synced' && onSynced) onSynced(detail);
+        });
+
+        const indicator = document.getElementById('syncStatus');
+        if (indicator) {
+            indicator.addEventListener('click', () => this.showOutbox());
+        }
+
+        const closeBtn = document.getElementById('closeSyncModal');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => document.getElementById('syncModal').classList.remove('show'));
+        }
+
+        const syncNowBtn = document.getElementById('syncNowBtn');
+        if (syncNowBtn) {
+            syncNowBtn.addEventListener('click', async () => {
+                const result = await source.sync();
+                await this.showOutbox();
+                if (result.synced > 0 && onSynced) onSynced(result);
+            });
+        }
+
+        source.loadOutbox().then(() => this.render(source.getStatus()));
+    },
+
+    formatTime(iso) {
+        return iso ? new Date(iso).toLocaleString('id-ID') : '-';
+    },
+
+    render(status) {
+        const indicator = document.getElementById('syncStatus');
+        if (!indicator) return;
+
+        let state = 'online';
+        let text = 'Online';
+        if (status.syncing) {
+            state = 'syncing';
+            text = 'Menyinkronkan...';
+        } else if (!status.online || status.fromCache) {
+            state = 'offline';
+            text = status.cachedAt ? `Offline - data ${this.formatTime(status.cachedAt)}` : 'Offline';
+        }
+        if (status.pending > 0) text += ` · ${status.pending} menunggu`;
+        if (status.failed > 0) {
+            state = 'failed';
+            text += ` · ${status.failed} gagal`;
+        }
+
+        indicator.className = `sync-status sync-${state}`;
+        indicator.querySelector('.sync-text').textContent = text;
+    },
+
+    async showOutbox() {
+        const modal = document.getElementById('syncModal');
+        const list = document.getElementById('syncOutboxList');
+        if (!modal || !list || !this.source) return;
+
+        const items = await this.source.getOutbox();
+        const labels = { create: 'Tambah', update: 'Edit', delete: 'Hapus' };
+
+        // Nama customer dibaca lewat header dataset cache, bukan posisi kolom tetap
+        const cached = await this.source.readCache();
+        const schema = new SheetSchema((cached && cached.values[0]) || [], CONFIG.COLUMN_MAPPING);
+
+        list.innerHTML = '';
+        if (items.length === 0) {
+            list.innerHTML = '<p class="sync-empty">Semua perubahan sudah tersinkron.</p>';
+        }
+
+        items.forEach(item => {
+            const row = document.createElement('div');
+            row.className = `sync-item sync-item-${item.status}`;
+
+            const name = (item.values && schema.toRecord(item.values, item.rowNumber).nama) ||
+                (item.before && schema.toRecord(item.before, item.rowNumber).nama) ||
+                `Baris ${item.rowNumber}`;
+            const info = document.createElement('div');
+            info.innerHTML = '<strong></strong> <span class="sync-item-name"></span><br><small></small>';
+            info.querySelector('strong').textContent = labels[item.type] || item.type;
+            info.querySelector('.sync-item-name').textContent = name;
+            info.querySelector('small').textContent = item.status === 'failed'
+                ? `Gagal: ${item.error}`
+                : `Menunggu sejak ${this.formatTime(item.createdAt)}`;
+            row.appendChild(info);
+
+            if (item.status === 'failed') {
+                const actions = document.createElement('div');
+                actions.className = 'sync-item-actions';
+
+                const retryBtn = document.createElement('button');
+                retryBtn.className = 'btn-save';
+                retryBtn.textContent = 'Coba Lagi';
+                retryBtn.addEventListener('click', async () => {
+                    await this.source.retry(item.id);
+                    this.showOutbox();
+                });
+
+                const discardBtn = document.createElement('button');
+                discardBtn.className = 'btn-cancel';
+                discardBtn.textContent = 'Buang';
+                discardBtn.addEventListener('click', async () => {
+                    if (confirm('Buang perubahan ini? Perubahan tidak akan dikirim ke Google Sheets.')) {
+                        await this.source.discard(item.id);
+                        this.showOutbox();
+                    }
+                });
+
+                actions.appendChild(retryBtn);
+                actions.appendChild(discardBtn);
+                row.appendChild(actions);
+            }
+
+            list.appendChild(row);
+        });
+
+        modal.classList.add('show');
+    }
+};
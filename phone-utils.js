@@ -0,0 +1,113 @@
+/**
+ * Phone Utils - normalisasi nomor telepon Indonesia ke format E.164 (+62...)
+ *
+ * Nomor di sheet ditulis bermacam-macam: 0812..., +62812..., 62 812-..., atau 812...
+ * (angka 0 hilang karena sel diformat angka). Semua bentuk itu dinormalisasi ke +62812...
+ * supaya bisa dibandingkan. Nilai di sheet tetap disimpan seperti yang diketik user.
+ *
+ * Validasi mengikuti penomoran Indonesia:
+ * - seluler: 08xx, 9-12 digit setelah angka 0 (mis. 0812-3456-7890)
+ * - telepon rumah: kode area 2-4 digit diawali 2-7, lalu 5-8 digit (mis. 022-7654321)
+ */
+
+const PhoneUtils = {
+    COUNTRY_CODE: '62',
+
+    // Nomor nasional tanpa 0 di depan
+    MOBILE_PATTERN: /^8[1-9]\d{7,10}$/,
+    LANDLINE_PATTERN: /^[2-7]\d{6,10}$/,
+
+    /**
+     * @returns {string} Nomor E.164 (mis. +6281234567890), atau '' jika tidak bisa dikenali
+     */
+    normalize(raw) {
+        if (!raw) return '';
+
+        let digits = String(raw).replace(/\D/g, '');
+        if (digits.startsWith('00')) {
+            digits = digits.slice(2); // awalan internasional 00
+        }
+
+        if (digits.startsWith(this.COUNTRY_CODE)) {
+            digits = digits.slice(this.COUNTRY_CODE.length);
+        } else if (digits.startsWith('0')) {
+            digits = digits.slice(1);
+        }
+        digits = digits.replace(/^0+/, ''); // mis. +62 0812...
+
+        // Nomor nasional Indonesia (tanpa 0) minimal 7 digit
+        if (digits.length < 7) return '';
+        return `+${this.COUNTRY_CODE}${digits}`;
+    },
+
+    /**
+     * @returns {{ valid: boolean, type: 'mobile'|'landline'|null, e164: string, error: string|null }}
+     */
+    validate(raw) {
+        const text = String(raw || '').trim();
+        const invalid = error => ({ valid: false, type: null, e164: '', error });
+
+        if (!text) return invalid('Nomor telepon wajib diisi');
+        if (/[^\d\s()+.\-]/.test(text) || text.indexOf('+') > 0) {
+            return invalid('Nomor telepon hanya boleh berisi angka, spasi, tanda -, dan + di depan');
+        }
+
+        const e164 = this.normalize(text);
+        const national = e164.slice(this.COUNTRY_CODE.length + 1);
+        if (text.startsWith('+') && !text.replace(/[\s()]/g, '').startsWith(`+${this.COUNTRY_CODE}`)) {
+            return invalid('Hanya nomor Indonesia (+62) yang didukung');
+        }
+        if (this.MOBILE_PATTERN.test(national)) {
+            return { valid: true, type: 'mobile', e164, error: null };
+        }
+        if (this.LANDLINE_PATTERN.test(national)) {
+            return { valid: true, type: 'landline', e164, error: null };
+        }
+        return invalid('Format nomor tidak dikenali. Contoh: 0812-3456-7890 atau 022-7654321');
+    },
+
+    telUrl(raw) {
+        const { valid, e164 } = this.validate(raw);
+        return valid ? `tel:${e164}` : null;
+    },
+
+    /**
+     * Link wa.me hanya untuk nomor seluler.
+     * @param {string} [text] Pesan awal yang sudah terisi
+     */
+    whatsappUrl(raw, text = '') {
+        const { valid, type, e164 } = this.validate(raw);
+        if (!valid || type !== 'mobile') return null;
+        const query = text ? `?text=${encodeURIComponent(text)}` : '';
+        return `https://wa.me/${e164.slice(1)}${query}`;
+    },
+
+    /**
+     * Tampilkan pesan validasi bawaan browser saat nomor tidak valid.
+     */
+    bindInput(input) {
+        if (!input) return;
+        const check = () => {
+            const value = input.value.trim();
+            input.setCustomValidity(value ? (this.validate(value).error || '') : '');
+        };
+        input.addEventListener('input', check);
+        input.addEventListener('blur', () => {
+            check();
+            if (input.value.trim()) input.reportValidity();
+        });
+    },
+
+    /**
+     * Dua nomor dianggap sama jika bentuk E.164-nya sama.
+     */
+    same(a, b) {
+        const left = this.normalize(a);
+        return left !== '' && left === this.normalize(b);
+    }
+};
+
+// Dipakai juga oleh server/proxy-server.js (Node)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PhoneUtils;
+}
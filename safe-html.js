@@ -0,0 +1,98 @@
+/**
+ * Safe HTML - escape otomatis untuk semua HTML yang dibangun dari data
+ *
+ * Template literal biasa memasukkan nilai apa adanya ke innerHTML, sehingga nama customer
+ * atau pesan error berisi tag HTML ikut dijalankan. Tagged template html`...` meng-escape
+ * setiap nilai yang disisipkan (termasuk tanda kutip, aman untuk atribut); hanya hasil html`...`
+ * lain yang disisipkan utuh, jadi template boleh disusun bertingkat:
+ *
+ *     SafeHtml.render(list, html`<ul>${items.map(item => html`<li>${item.nama}</li>`)}</ul>`);
+ *
+ * Handler event tidak ditulis di dalam template (onclick="..."): tombol diberi data-action
+ * dan data-id, lalu ditangani listener yang dipasang sekali di elemen induknya.
+ */
+
+class SafeMarkup {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+const SafeHtml = {
+    ENTITIES: { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' },
+
+    escape(value) {
+        return String(value == null ? '' : value).replace(/[&<>"']/g, char => this.ENTITIES[char]);
+    },
+
+    /**
+     * Nilai untuk disisipkan ke template: markup dipakai utuh, array digabung,
+     * null/undefined/false menjadi kosong, selain itu di-escape.
+     */
+    interpolate(value) {
+        if (value instanceof SafeMarkup) return value.value;
+        if (Array.isArray(value)) return value.map(item => this.interpolate(item)).join('');
+        if (value == null || value === false) return '';
+        return this.escape(value);
+    },
+
+    template(strings, values) {
+        return new SafeMarkup(strings.reduce((result, string, index) =>
+            result + string + (index < values.length ? this.interpolate(values[index]) : ''), ''));
+    },
+
+    /**
+     * Isi elemen dengan hasil html`...`. String biasa ditampilkan sebagai teks.
+     */
+    render(element, markup) {
+        if (markup instanceof SafeMarkup) {
+            element.innerHTML = markup.value;
+        } else {
+            element.textContent = markup == null ? '' : String(markup);
+        }
+        return element;
+    },
+
+    /**
+     * URL share location yang boleh dibuka, atau '' jika tidak aman.
+     * URL harus memakai skema dan host di CONFIG.MAP_URL_ALLOWLIST (mencegah javascript:,
+     * data: dan situs lain); alamat berupa teks dibuka sebagai pencarian Google Maps.
+     */
+    mapUrl(value, allowlist = CONFIG.MAP_URL_ALLOWLIST || []) {
+        const text = String(value == null ? '' : value).trim();
+        if (!text) return '';
+
+        if (!/^[a-z][a-z0-9+.-]*:/i.test(text)) {
+            return `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(text)}`;
+        }
+
+        let url;
+        try {
+            url = new URL(text);
+        } catch (error) {
+            return '';
+        }
+
+        const allowed = allowlist.some(entry => {
+            const [scheme, rest = ''] = entry.split('://');
+            if (`${scheme}:` !== url.protocol) return false;
+            if (!rest) return true; // skema tanpa host, mis. geo:
+            const [host, ...pathParts] = rest.split('/');
+            const pathPrefix = pathParts.length ? `/${pathParts.join('/')}` : '';
+            return url.hostname.toLowerCase() === host &&
+                (!pathPrefix || url.pathname === pathPrefix || url.pathname.startsWith(`${pathPrefix}/`));
+        });
+        return allowed ? url.href : '';
+    }
+};
+
+/**
+ * Tagged template yang meng-escape semua nilai yang disisipkan. Lihat SafeHtml.
+ */
+function html(strings, ...values) {
+    return SafeHtml.template(strings, values);
+}
@@ -0,0 +1,216 @@
+/**
+ * Sales Performance - metrik kinerja per sales dan leaderboard tim
+ *
+ * Semua angka dihitung dari originalData (bukan hasil pencarian/filter tabel). Kartu statistik
+ * mengikuti sales yang dipilih di sidebar; grafik dan leaderboard selalu membandingkan seluruh tim
+ * dengan sales yang dipilih ditandai.
+ */
+
+const SalesPerformance = {
+    VISITED: 'Visited',
+    ACCEPTED: 'Diterima',
+    REJECTED: 'Tidak Diterima',
+
+    DAY_MS: 24 * 60 * 60 * 1000,
+
+    /**
+     * Baca tanggal dari sheet: 2026-10-19 (input tanggal), atau 19/10/2026 dan 19-10-2026
+     * (format tampilan Sheets untuk locale Indonesia).
+     * @returns {Date|null}
+     */
+    parseDate(value) {
+        const text = String(value || '').trim();
+        let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        if (match) return this.toDate(match[1], match[2], match[3]);
+
+        match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/);
+        if (match) return this.toDate(match[3], match[2], match[1]);
+        return null;
+    },
+
+    toDate(year, month, day) {
+        const date = new Date(Number(year), Number(month) - 1, Number(day));
+        return date.getMonth() === Number(month) - 1 ? date : null;
+    },
+
+    /**
+     * @returns {{ total, visited, notVisited, accepted, rejected, conversion, avgDaysToVisit, timedVisits }}
+     */
+    compute(records) {
+        const total = records.length;
+        const visited = records.filter(record => record.visit === this.VISITED).length;
+        const accepted = records.filter(record => record.status === this.ACCEPTED).length;
+        const rejected = records.filter(record => record.status === this.REJECTED).length;
+
+        // Lama dari input ke visit hanya untuk record yang punya kedua tanggal
+        const durations = records
+            .map(record => {
+                const entered = this.parseDate(record.tanggal_input);
+                const visitedAt = this.parseDate(record.tanggal_visit);
+                if (!entered || !visitedAt || visitedAt < entered) return null;
+                return (visitedAt - entered) / this.DAY_MS;
+            })
+            .filter(days => days !== null);
+
+        return {
+            total,
+            visited,
+            notVisited: total - visited,
+            accepted,
+            rejected,
+            conversion: total > 0 ? accepted / total : 0,
+            avgDaysToVisit: durations.length > 0
+                ? durations.reduce((sum, days) => sum + days, 0) / durations.length
+                : null,
+            timedVisits: durations.length
+        };
+    },
+
+    /**
+     * Metrik per sales, diurutkan untuk leaderboard: jumlah Diterima, lalu konversi, lalu nama.
+     * @param {string[]} salesNames Sales yang tetap ditampilkan walau belum punya prospek
+     */
+    bySales(records, salesNames = []) {
+        const groups = new Map(salesNames.map(name => [name, []]));
+        records.forEach(record => {
+            const name = record.nama_sales || 'Tanpa Sales';
+            if (!groups.has(name)) groups.set(name, []);
+            groups.get(name).push(record);
+        });
+
+        return [...groups.entries()]
+            .map(([name, items]) => ({ name, ...this.compute(items) }))
+            .sort((a, b) => (b.accepted - a.accepted) || (b.conversion - a.conversion) || a.name.localeCompare(b.name, 'id'));
+    },
+
+    formatPercent(ratio) {
+        return `${(ratio * 100).toLocaleString('id-ID', { maximumFractionDigits: 1 })}%`;
+    },
+
+    formatDays(days) {
+        return days === null ? '-' : `${days.toLocaleString('id-ID', { maximumFractionDigits: 1 })} hari`;
+    }
+};
+
+/**
+ * Tampilan kartu statistik, grafik SVG, dan leaderboard.
+ */
+const PerformancePanel = {
+    BAR_HEIGHT: 18,
+    ROW_GAP: 10,
+    LABEL_WIDTH: 110,
+    LABEL_MAX_CHARS: 16, // nama lebih panjang dipotong; nama lengkap ada di tooltip
+    CHART_WIDTH: 420,
+
+    setText(id, text) {
+        const element = document.getElementById(id);
+        if (element) element.textContent = text;
+    },
+
+    render(records, activeSales = 'All', salesNames = []) {
+        const scoped = activeSales === 'All'
+            ? records
+            : records.filter(record => record.nama_sales === activeSales);
+        const metrics = SalesPerformance.compute(scoped);
+        const team = SalesPerformance.bySales(records, salesNames);
+
+        this.renderCards(metrics, activeSales);
+        this.renderCharts(team, activeSales);
+        this.renderLeaderboard(team, activeSales);
+    },
+
+    renderCards(metrics, activeSales) {
+        this.setText('totalCustomers', metrics.total.toLocaleString('id-ID'));
+        this.setText('statScope', activeSales === 'All' ? 'Seluruh tim' : activeSales);
+        this.setText('statVisited', metrics.visited.toLocaleString('id-ID'));
+        this.setText('statNotVisited', `${metrics.notVisited.toLocaleString('id-ID')} belum visit`);
+        this.setText('statAccepted', metrics.accepted.toLocaleString('id-ID'));
+        this.setText('statRejected', `${metrics.rejected.toLocaleString('id-ID')} tidak diterima`);
+        this.setText('statConversion', SalesPerformance.formatPercent(metrics.conversion));
+        this.setText('statAvgVisit', SalesPerformance.formatDays(metrics.avgDaysToVisit));
+        this.setText('statAvgVisitBasis', metrics.timedVisits > 0
+            ? `dari ${metrics.timedVisits} visit bertanggal`
+            : 'belum ada tanggal input & visit');
+    },
+
+    /**
+     * Grafik batang horizontal: satu baris per sales, tiap baris berisi beberapa segmen.
+     * @param {{ name: string, segments: { value: number, className: string }[], label: string }[]} rows
+     * @param {number} max Nilai untuk lebar penuh
+     */
+    barChart(rows, max, activeSales) {
+        const rowHeight = this.BAR_HEIGHT + this.ROW_GAP;
+        const barWidth = this.CHART_WIDTH - this.LABEL_WIDTH - 50;
+        const height = Math.max(rows.length * rowHeight, rowHeight);
+
+        const bars = rows.map((row, index) => {
+            const y = index * rowHeight;
+            let x = this.LABEL_WIDTH;
+            const segments = row.segments.map(segment => {
+                const width = max > 0 ? (segment.value / max) * barWidth : 0;
+                const rect = html`<rect x="${x}" y="${y}" width="${width}" height="${this.BAR_HEIGHT}" class="${segment.className}"></rect>`;
+                x += width;
+                return rect;
+            });
+
+            const active = row.name === activeSales ? ' chart-row-active' : '';
+            const name = row.name.length > this.LABEL_MAX_CHARS
+                ? `${row.name.slice(0, this.LABEL_MAX_CHARS - 1)}…`
+                : row.name;
+            return html`
+                <g class="chart-row${active}">
+                    <title>${row.title}</title>
+                    <text x="${this.LABEL_WIDTH - 6}" y="${y + this.BAR_HEIGHT - 5}" text-anchor="end" class="chart-label">${name}</text>
+                    ${segments}
+                    <text x="${x + 4}" y="${y + this.BAR_HEIGHT - 5}" class="chart-value">${row.label}</text>
+                </g>
+            `;
+        });
+
+        return html`<svg viewBox="0 0 ${this.CHART_WIDTH} ${height}" class="performance-chart" role="img">${bars}</svg>`;
+    },
+
+    renderCharts(team, activeSales) {
+        const visitChart = document.getElementById('visitChart');
+        if (visitChart) {
+            const max = Math.max(0, ...team.map(row => row.total));
+            SafeHtml.render(visitChart, this.barChart(team.map(row => ({
+                name: row.name,
+                title: `${row.name}: ${row.visited} visited, ${row.notVisited} belum visit`,
+                label: `${row.visited}/${row.total}`,
+                segments: [
+                    { value: row.visited, className: 'chart-bar-visited' },
+                    { value: row.notVisited, className: 'chart-bar-pending' }
+                ]
+            })), max, activeSales));
+        }
+
+        const conversionChart = document.getElementById('conversionChart');
+        if (conversionChart) {
+            SafeHtml.render(conversionChart, this.barChart(team.map(row => ({
+                name: row.name,
+                title: `${row.name}: ${row.accepted} diterima, ${row.rejected} tidak diterima dari ${row.total}`,
+                label: SalesPerformance.formatPercent(row.conversion),
+                segments: [{ value: row.conversion, className: 'chart-bar-accepted' }]
+            })), 1, activeSales));
+        }
+    },
+
+    renderLeaderboard(team, activeSales) {
+        const tbody = document.querySelector('#leaderboardTable tbody');
+        if (!tbody) return;
+
+        SafeHtml.render(tbody, html`${team.map((row, index) => html`
+            <tr class="${row.name === activeSales ? 'leaderboard-active' : ''}">
+                <td>${index + 1}</td>
+                <td>${row.name}</td>
+                <td>${row.total}</td>
+                <td>${row.visited}</td>
+                <td>${row.accepted}</td>
+                <td>${row.rejected}</td>
+                <td>${SalesPerformance.formatPercent(row.conversion)}</td>
+                <td>${SalesPerformance.formatDays(row.avgDaysToVisit)}</td>
+            </tr>
+        `)}`);
+    }
+};
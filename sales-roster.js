@@ -0,0 +1,339 @@
+/**
+ * Sales Roster - daftar sales di tab tersendiri (CONFIG.SALES_SHEET_NAME)
+ *
+ * Sidebar, pilihan sales di form dan bulk bar diambil dari daftar ini sehingga sales baru
+ * langsung muncul walau belum punya customer. Sales yang dinonaktifkan tidak lagi ditawarkan
+ * sebagai pilihan, tapi customer lamanya tetap tercatat atas namanya.
+ */
+
+const SALES_FIELDS = ['nama', 'no_telepon', 'area', 'aktif'];
+
+const SalesRoster = {
+    ACTIVE: 'Ya',
+    INACTIVE: 'Tidak',
+
+    dataSource: null,
+    schema: null,
+    rows: [],
+    members: [],
+    loaded: false,
+    listeners: [],
+
+    init(config) {
+        this.dataSource = createDataSource(config, {
+            sheetName: config.SALES_SHEET_NAME,
+            defaultRows: [this.defaultHeader()]
+        });
+    },
+
+    defaultHeader() {
+        return SALES_FIELDS.map(field => CONFIG.SALES_COLUMN_MAPPING[field][0]);
+    },
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    },
+
+    notify() {
+        this.listeners.forEach(listener => listener(this.members));
+    },
+
+    /**
+     * Muat daftar sales. Tab dibuat lebih dulu jika belum ada di spreadsheet.
+     */
+    async load() {
+        await this.dataSource.ensureSheet(this.defaultHeader());
+        this.rows = await this.dataSource.list();
+        this.schema = new SheetSchema(this.rows[0] || this.defaultHeader(), CONFIG.SALES_COLUMN_MAPPING, SALES_FIELDS);
+        this.members = this.rows.slice(1)
+            .map((row, index) => this.toMember(row, index + 2))
+            .filter(member => member.nama);
+        this.loaded = true;
+        console.log('📋 Sales roster:', this.members.length, 'sales');
+        this.notify();
+        return this.members;
+    },
+
+    toMember(row, rowNumber) {
+        const member = this.schema.toRecord(row, rowNumber);
+        // Kolom aktif kosong dianggap aktif supaya nama yang diketik langsung di sheet tetap muncul
+        member.active = !/^(tidak|no|false|0|nonaktif)$/i.test(member.aktif);
+        return member;
+    },
+
+    /**
+     * Nama sales terurut; default hanya sales aktif.
+     */
+    names({ includeInactive = false } = {}) {
+        return this.members
+            .filter(member => includeInactive || member.active)
+            .map(member => member.nama)
+            .sort((a, b) => a.localeCompare(b, 'id'));
+    },
+
+    find(name) {
+        const key = String(name || '').trim().toLowerCase();
+        return this.members.find(member => member.nama.toLowerCase() === key) || null;
+    },
+
+    /**
+     * @returns {string[]} Daftar pesan error; kosong jika data sales valid
+     */
+    validate({ nama, no_telepon }, excludeId = null) {
+        const errors = [];
+        if (!nama) {
+            errors.push('Nama sales wajib diisi');
+        } else {
+            const existing = this.find(nama);
+            if (existing && existing.id !== excludeId) {
+                errors.push(`Sales "${existing.nama}" sudah ada di daftar`);
+            }
+        }
+
+        if (no_telepon) {
+            const phone = PhoneUtils.validate(no_telepon);
+            if (!phone.valid) errors.push(phone.error);
+        }
+        return errors;
+    },
+
+    async add({ nama, no_telepon = '', area = '' }) {
+        UserAccess.assert('manage_sales');
+        const errors = this.validate({ nama, no_telepon });
+        if (errors.length > 0) throw new Error(errors.join('. '));
+
+        const row = this.schema.toRow({ nama, no_telepon, area, aktif: this.ACTIVE });
+        await this.dataSource.create(row);
+        console.log('✅ Sales added:', nama);
+        return this.load();
+    },
+
+    /**
+     * Tambah banyak nama sekaligus (mis. dari nama sales yang sudah ada di data customer).
+     */
+    async addNames(names) {
+        UserAccess.assert('manage_sales');
+        const rows = names.map(nama => this.schema.toRow({ nama, no_telepon: '', area: '', aktif: this.ACTIVE }));
+        await this.dataSource.createMany(rows);
+        console.log('✅ Sales added:', names.length);
+        return this.load();
+    },
+
+    /**
+     * Perbarui data sales. Baris dibaca ulang agar perubahan orang lain di tab yang sama
+     * tidak tertimpa ke baris yang salah.
+     */
+    async update(id, changes) {
+        UserAccess.assert('manage_sales');
+        const member = this.members.find(item => item.id === id);
+        if (!member) throw new Error('Sales tidak ditemukan. Silakan muat ulang daftar sales.');
+
+        const updated = { ...member, ...changes };
+        const errors = this.validate(updated, id);
+        if (errors.length > 0) throw new Error(errors.join('. '));
+
+        const currentRow = await this.dataSource.get(id);
+        if (this.schema.toRecord(currentRow, id).nama !== member.nama) {
+            throw new Error('Daftar sales sudah diubah pengguna lain. Silakan muat ulang.');
+        }
+
+        updated.aktif = updated.active ? this.ACTIVE : this.INACTIVE;
+        await this.dataSource.update(id, this.schema.toRow(updated, currentRow));
+        console.log('✅ Sales updated:', updated.nama);
+        return this.load();
+    },
+
+    setActive(id, active) {
+        return this.update(id, { active });
+    }
+};
+
+/**
+ * Modal kelola sales: tambah, ubah nama/telepon/area, dan aktif/nonaktifkan.
+ */
+const SalesRosterDialog = {
+    integration: null,
+
+    attach(integration) {
+        this.integration = integration;
+
+        const openButton = document.getElementById('openAddSalesBtn');
+        if (openButton) {
+            openButton.addEventListener('click', () => {
+                this.resetForm();
+                this.render();
+            });
+        }
+
+        const list = document.getElementById('salesRosterList');
+        if (list) {
+            list.addEventListener('click', event => {
+                const button = event.target.closest('button[data-roster-action]');
+                if (!button) return;
+                const id = Number(button.dataset.id);
+                if (button.dataset.rosterAction === 'edit') {
+                    this.edit(id);
+                } else {
+                    this.toggleActive(id);
+                }
+            });
+        }
+
+        const importButton = document.getElementById('salesImportBtn');
+        if (importButton) importButton.addEventListener('click', () => this.importFromCustomers());
+
+        PhoneUtils.bindInput(document.getElementById('salesPhone'));
+        SalesRoster.onChange(() => this.render());
+    },
+
+    // Nama sales di data customer yang belum terdaftar di roster
+    unlistedNames() {
+        return CustomerFilters.distinctValues(this.integration.originalData, 'nama_sales')
+            .filter(name => !SalesRoster.find(name));
+    },
+
+    render() {
+        const list = document.getElementById('salesRosterList');
+        if (!list) return;
+
+        const importButton = document.getElementById('salesImportBtn');
+        if (importButton) {
+            const unlisted = SalesRoster.loaded ? this.unlistedNames() : [];
+            importButton.hidden = unlisted.length === 0;
+            importButton.textContent = `Ambil ${unlisted.length} nama dari data customer`;
+        }
+
+        if (!SalesRoster.loaded) {
+            SafeHtml.render(list, html`<p class="import-note">Daftar sales belum bisa dimuat.</p>`);
+            return;
+        }
+        if (SalesRoster.members.length === 0) {
+            SafeHtml.render(list, html`<p class="import-note">Belum ada sales di daftar.</p>`);
+            return;
+        }
+
+        const counts = {};
+        this.integration.originalData.forEach(record => {
+            counts[record.nama_sales] = (counts[record.nama_sales] || 0) + 1;
+        });
+        const members = [...SalesRoster.members].sort((a, b) =>
+            (b.active - a.active) || a.nama.localeCompare(b.nama, 'id'));
+
+        SafeHtml.render(list, html`
+            <table class="import-table">
+                <thead>
+                    <tr><th>Nama</th><th>Telepon</th><th>Area</th><th>Customer</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${members.map(member => html`
+                        <tr class="${member.active ? '' : 'roster-inactive'}">
+                            <td>${member.nama}${!member.active && html` <small>(nonaktif)</small>`}</td>
+                            <td>${member.no_telepon}</td>
+                            <td>${member.area}</td>
+                            <td>${counts[member.nama] || 0}</td>
+                            <td class="roster-actions">
+                                <button type="button" class="btn-icon" title="Edit" data-roster-action="edit" data-id="${member.id}">
+                                    <i class="fas fa-edit"></i>
+                                </button>
+                                <button type="button" class="btn-icon" title="${member.active ? 'Nonaktifkan' : 'Aktifkan'}" data-roster-action="toggle" data-id="${member.id}">
+                                    <i class="fas ${member.active ? 'fa-user-slash' : 'fa-user-check'}"></i>
+                                </button>
+                            </td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        `);
+    },
+
+    edit(id) {
+        const member = SalesRoster.members.find(item => item.id === id);
+        if (!member) return;
+
+        document.getElementById('salesEditId').value = member.id;
+        document.getElementById('salesName').value = member.nama;
+        document.getElementById('salesPhone').value = member.no_telepon;
+        document.getElementById('salesArea').value = member.area;
+        document.getElementById('saveSalesBtn').textContent = 'Simpan Perubahan';
+        document.getElementById('salesName').focus();
+    },
+
+    resetForm() {
+        document.getElementById('addSalesForm').reset();
+        document.getElementById('salesEditId').value = '';
+        document.getElementById('saveSalesBtn').textContent = 'Tambah Sales';
+    },
+
+    /**
+     * Simpan isi form: tambah sales baru, atau ubah sales yang sedang diedit.
+     * Jika nama diganti, customer milik sales tersebut ikut dipindahkan ke nama baru.
+     */
+    async submit() {
+        const integration = this.integration;
+        const id = parseInt(document.getElementById('salesEditId').value, 10) || null;
+        const data = {
+            nama: document.getElementById('salesName').value.trim(),
+            no_telepon: document.getElementById('salesPhone').value.trim(),
+            area: document.getElementById('salesArea').value.trim()
+        };
+
+        try {
+            if (!id) {
+                await SalesRoster.add(data);
+                integration.showMessage(`Sales "${data.nama}" ditambahkan`, 'success');
+                this.resetForm();
+                return;
+            }
+
+            const previous = SalesRoster.members.find(item => item.id === id);
+            const oldName = previous ? previous.nama : '';
+            await SalesRoster.update(id, data);
+            this.resetForm();
+
+            const owned = integration.originalData.filter(record => record.nama_sales === oldName);
+            if (oldName !== data.nama && owned.length > 0 &&
+                confirm(`Pindahkan ${owned.length} customer milik "${oldName}" ke nama "${data.nama}"?`)) {
+                await integration.updateRecords(owned.map(record => ({ ...record, nama_sales: data.nama })));
+                integration.refreshData();
+            }
+            integration.showMessage(integration.writeSuccessMessage(`Data sales "${data.nama}" diperbarui`), 'success');
+        } catch (error) {
+            console.error('❌ Save sales error:', error);
+            integration.showError('Gagal menyimpan sales: ' + error.message);
+        }
+    },
+
+    async importFromCustomers() {
+        const names = this.unlistedNames();
+        if (names.length === 0 || !confirm(`Tambahkan ke daftar sales:\n${names.join(', ')}?`)) return;
+
+        try {
+            await SalesRoster.addNames(names);
+            this.integration.showMessage(`${names.length} sales ditambahkan ke daftar`, 'success');
+        } catch (error) {
+            console.error('❌ Import sales error:', error);
+            this.integration.showError('Gagal menambahkan sales: ' + error.message);
+        }
+    },
+
+    async toggleActive(id) {
+        const member = SalesRoster.members.find(item => item.id === id);
+        if (!member) return;
+        if (member.active && !confirm(`Nonaktifkan sales "${member.nama}"? Customer lamanya tetap tercatat atas namanya.`)) {
+            return;
+        }
+
+        try {
+            await SalesRoster.setActive(id, !member.active);
+            this.integration.showMessage(`Sales "${member.nama}" ${member.active ? 'dinonaktifkan' : 'diaktifkan kembali'}`, 'success');
+        } catch (error) {
+            console.error('❌ Toggle sales error:', error);
+            this.integration.showError('Gagal mengubah status sales: ' + error.message);
+        }
+    }
+};
+
+// Dipakai juga oleh server/proxy-server.js (Node)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SalesRoster, SALES_FIELDS };
+}
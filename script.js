@@ -4,6 +4,7 @@
 let gapiInited = false;
 let gisLoadedFlag = false;
 let currentIdToken = null;
+let currentUserEmail = '';
 let initializationAttempts = 0;
 const MAX_INITIALIZATION_ATTEMPTS = 3;
 
@@ -22,15 +23,19 @@ const ErrorHandler = {
   showUserError: (message) => {
     const errorDisplay = document.getElementById('errorDisplay');
     if (errorDisplay) {
-      errorDisplay.innerHTML = `
+      // Messages often include error text from the server, so they are always escaped
+      SafeHtml.render(errorDisplay, html`
         <div class="alert alert-danger" style="margin: 20px; padding: 15px; border-radius: 5px; background: #f8d7da; color: #721c24; border: 1px solid #f5c6cb;">
           <i class="fas fa-exclamation-triangle"></i> ${message}
-          <button onclick="this.parentElement.parentElement.style.display='none'" 
+          <button type="button" class="alert-close"
                   style="float: right; background: none; border: none; font-size: 20px; cursor: pointer;">
             &times;
           </button>
         </div>
-      `;
+      `);
+      errorDisplay.querySelector('.alert-close').addEventListener('click', () => {
+        errorDisplay.style.display = 'none';
+      });
       errorDisplay.style.display = 'block';
     }
   }
@@ -48,15 +53,17 @@ async function initializeGapiClient() {
   try {
     ErrorHandler.log('initializeGapiClient: Initializing gapi.client...');
     
-    if (!CONFIG || !CONFIG.API_KEY || !CONFIG.SCOPES) {
+    if (!CONFIG || !CONFIG.SCOPES) {
       throw new Error('Configuration missing. Please check config.js');
     }
     
-    await gapi.client.init({
-      apiKey: CONFIG.API_KEY,
+    // The API key is only configured for direct Sheets access; with the proxy it stays on the server
+    const clientConfig = {
       discoveryDocs: ["https://sheets.googleapis.com/$discovery/rest?version=v4"],
       scope: CONFIG.SCOPES,
-    });
+    };
+    if (CONFIG.API_KEY) clientConfig.apiKey = CONFIG.API_KEY;
+    await gapi.client.init(clientConfig);
     
     gapiInited = true;
     ErrorHandler.log('GAPI client initialized successfully');
@@ -86,6 +93,9 @@ window.gisLoaded = function() {
       client_id: CONFIG.CLIENT_ID,
       callback: window.handleCredentialResponse,
     });
+
+    // Sign-In only identifies the user; Sheets writes need an OAuth access token (auth-session.js)
+    AuthSession.init(CONFIG);
     
     gisLoadedFlag = true;
     ErrorHandler.log('GIS initialized successfully');
@@ -96,20 +106,73 @@ window.gisLoaded = function() {
   }
 };
 
-window.handleCredentialResponse = function(response) {
+// Email of the signed-in user (used by the audit log and roles). Taken from the validated
+// ID token in memory, so it stays empty until restoreSession has checked the stored token.
+function getCurrentUserEmail() {
+  return currentUserEmail;
+}
+
+// ID token of the signed-in user, sent to the proxy as the bearer token (data-sources.js)
+function getCurrentIdToken() {
+  return currentIdToken;
+}
+
+// Validate a Google ID token and start the session from its claims
+async function startSession(idToken) {
+  const claims = await IdToken.verify(idToken, CONFIG.CLIENT_ID);
+  currentIdToken = idToken;
+  currentUserEmail = claims.email;
+  sessionStorage.setItem('idToken', idToken);
+  updateSigninStatus(true);
+  return claims;
+}
+
+// Remove every trace of the signed-in user from browser storage
+function clearStoredSession() {
+  currentIdToken = null;
+  currentUserEmail = '';
+  ['idToken', 'userEmail', 'isLoggedIn'].forEach(key => sessionStorage.removeItem(key)); // userEmail: older versions
+  localStorage.removeItem('isLoggedIn'); // flag from older versions
+  AuthSession.clear();
+}
+
+/**
+ * Restore the session after a reload. The stored ID token must pass signature, issuer,
+ * audience and expiry checks; otherwise the user is sent back to the sign-in screen.
+ */
+async function restoreSession() {
+  const storedToken = sessionStorage.getItem('idToken');
+  if (!storedToken) {
+    clearStoredSession();
+    return false;
+  }
+
+  try {
+    const claims = await startSession(storedToken);
+    ErrorHandler.log(`Session restored for ${claims.email}`);
+    return true;
+  } catch (error) {
+    ErrorHandler.log(`Stored session rejected: ${error.message}`, 'warn');
+    clearStoredSession();
+    updateSigninStatus(false);
+    return false;
+  }
+}
+
+window.handleCredentialResponse = async function(response) {
   console.log('handleCredentialResponse called');
   try {
     ErrorHandler.log("Credential response received");
     
     if (response.credential) {
-      currentIdToken = response.credential;
-      updateSigninStatus(true);
+      await startSession(response.credential);
       ErrorHandler.log("Login successful");
     } else {
       throw new Error("No credential in response");
     }
   } catch (error) {
     ErrorHandler.handleError(error, 'handleCredentialResponse');
+    clearStoredSession();
     updateSigninStatus(false);
   }
 };
@@ -132,7 +195,8 @@ function maybeRenderSignInButton() {
             width: "250" 
           }
         );
-        updateSigninStatus(false);
+        // Keep a restored session on screen; only show sign-in when nobody is signed in
+        if (!currentIdToken) updateSigninStatus(false);
       } else {
         console.log('signInButtonContainer not found');
       }
@@ -144,19 +208,27 @@ function maybeRenderSignInButton() {
   }
 }
 
-function handleSignoutClick() {
+async function handleSignoutClick() {
   try {
     console.log('handleSignoutClick called');
+    const integration = typeof googleSheetsIntegration !== 'undefined' ? googleSheetsIntegration : null;
+
+    // Unsynced offline changes live in the cache that is about to be wiped
+    const pending = integration ? await integration.pendingOfflineChanges() : 0;
+    if (pending > 0 && !confirm(`${pending} perubahan offline belum tersinkron dan akan hilang jika logout. Tetap logout?`)) {
+      return;
+    }
+
     if (typeof google !== 'undefined' && typeof google.accounts !== 'undefined' && typeof google.accounts.id !== 'undefined') {
       console.log('google.accounts.id is defined. Attempting disableAutoSelect.');
       google.accounts.id.disableAutoSelect();
     } else {
       console.log('google.accounts.id is NOT defined. Skipping disableAutoSelect.');
     }
-    currentIdToken = null;
+    AuthSession.revoke();
+    clearStoredSession();
+    if (integration) await integration.clearUserData();
     updateSigninStatus(false);
-    sessionStorage.removeItem('isLoggedIn');
-    localStorage.removeItem('isLoggedIn'); // Add this line
     ErrorHandler.log("User signed out");
   } catch (error) {
     ErrorHandler.handleError(error, 'handleSignoutClick');
@@ -181,12 +253,11 @@ function updateSigninStatus(isSignedIn) {
       mainContent.style.display = 'block';
       signOutButton.style.display = 'block';
 
-      // Set the gapi client token after successful sign-in
-      if (currentIdToken) {
-        gapi.client.setToken({
-          access_token: currentIdToken
-        });
-        ErrorHandler.log('GAPI client token set.');
+      // Direct Sheets access needs an OAuth access token; the proxy validates the ID token itself
+      if (CONFIG.DATA_SOURCE === 'sheets') {
+        AuthSession.start(getCurrentUserEmail());
+      } else {
+        AuthSession.startWithIdToken(getCurrentUserEmail());
       }
       
       // Ensure dashboard is properly initialized
@@ -196,14 +267,15 @@ function updateSigninStatus(isSignedIn) {
         });
       }
       
-      sessionStorage.setItem('isLoggedIn', 'true');
     } else { // Added else block for sign-out state
       loginContainer.style.display = 'block';
       mainContent.style.display = 'none';
       signOutButton.style.display = 'none';
-      // Clear the gapi client token on sign-out
-      gapi.client.setToken('');
-      ErrorHandler.log('GAPI client token cleared.');
+      // Clear the gapi client token on sign-out (gapi may not be loaded yet)
+      if (typeof gapi !== 'undefined' && gapi.client) {
+        gapi.client.setToken('');
+        ErrorHandler.log('GAPI client token cleared.');
+      }
     }
   } catch (error) {
     ErrorHandler.handleError(error, 'updateSigninStatus');
@@ -261,13 +333,8 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
     
-    // Check login status
-    const isLoggedIn = sessionStorage.getItem('isLoggedIn') === 'true';
-    ErrorHandler.log(`Login status: ${isLoggedIn}`);
-    
-    if (isLoggedIn) {
-      updateSigninStatus(true);
-    }
+    // Restore the previous session only from a validated ID token
+    restoreSession();
     
     // Initialize UI components
     initializeUIComponents();
@@ -288,6 +355,16 @@ function initializeUIComponents() {
     const toggleCustomerFormBtn = document.getElementById('toggle-customer-form');
     const addCustomerFormContainer = document.getElementById('add-customer-form-container');
     const overviewBtn = document.getElementById('overview-btn');
+    const signOutButton = document.getElementById('sign-out-button');
+    const cancelEditBtn = document.getElementById('cancelEditBtn');
+
+    if (signOutButton) {
+      signOutButton.addEventListener('click', handleSignoutClick);
+    }
+
+    if (cancelEditBtn) {
+      cancelEditBtn.addEventListener('click', closeEditModal);
+    }
 
     // Toggle Add Customer Form
     if (toggleCustomerFormBtn) {
@@ -407,12 +484,8 @@ function setupFormHandlers() {
     if (addSalesForm) {
       addSalesForm.addEventListener('submit', async (e) => {
         e.preventDefault();
-        const salesName = document.getElementById('salesName').value.trim();
-        if (salesName) {
-          alert('Fitur tambah sales akan segera tersedia');
-          document.getElementById('addSalesModal').classList.remove('show');
-          addSalesForm.reset();
-        }
+        // Tambah atau ubah sales di tab daftar sales; modal tetap terbuka untuk perubahan berikutnya
+        await SalesRosterDialog.submit();
       });
     }
 
@@ -422,39 +495,8 @@ function setupFormHandlers() {
       editForm.addEventListener('submit', async (e) => {
         e.preventDefault();
         try {
-            const index = document.getElementById('editRowIndex').value;
-            const rowToUpdate = parseInt(index) + 2;
-
-            const values = [
-                [
-                    document.getElementById('editOdp').value,
-                    document.getElementById('editNama').value,
-                    document.getElementById('editAlamat').value,
-                    document.getElementById('editTelepon').value,
-                    document.getElementById('editSales').value,
-                    document.getElementById('editVisit').value,
-                    document.getElementById('editKeterangan').value,
-                    document.getElementById('editStatus').value
-                ]
-            ];
-
-            const sheetName = CONFIG.DATA_RANGE.split('!')[0].replace(/'/g, "");
-
-            const request = {
-                spreadsheetId: CONFIG.SPREADSHEET_ID,
-                range: `${sheetName}!A${rowToUpdate}:H${rowToUpdate}`,
-                valueInputOption: 'USER_ENTERED',
-                resource: {
-                    values: values
-                }
-            };
-
-            await gapi.client.sheets.spreadsheets.values.update(request);
-
-            console.log('✅ Row updated successfully in Google Sheets');
-            closeEditModal();
-            safeRefreshData();
-
+            // Simpan lewat data source aktif (Sheets, lokal atau memory)
+            await googleSheetsIntegration.saveEdit();
         } catch (error) {
             console.error('❌ Update row error:', error);
             ErrorHandler.handleError(error, 'editForm.submit');
@@ -478,44 +520,24 @@ window.addEventListener('error', (event) => {
 
 /**
  * Menghapus baris data dari Google Spreadsheet.
- * @param {number} rowIndex Indeks baris data yang akan dihapus (0-indexed dari data yang ditampilkan, setelah header).
+ * @param {number} recordId Id record (nomor baris di sheet, 1-based, header = baris 1).
  */
-async function deleteCustomerRow(rowIndex) {
+async function deleteCustomerRow(recordId) {
     try {
-        ErrorHandler.log(`Attempting to delete row at index: ${rowIndex}`);
-
-        // Google Sheets API menggunakan indeks baris 1-based.
-        // Jika data Anda dimulai dari baris ke-2 di spreadsheet (setelah header),
-        // maka rowIndex 0 di data Anda adalah baris ke-2 di spreadsheet.
-        // Jadi, baris yang akan dihapus adalah rowIndex + 2.
-        const sheetRowIndex = rowIndex + 2; // +1 for 1-based index, +1 for header row
-
-        const request = {
-            spreadsheetId: CONFIG.SPREADSHEET_ID,
-            resource: {
-                requests: [{
-                    deleteDimension: {
-                        range: {
-                            sheetId: 0, // Biasanya 0 untuk sheet pertama. Anda bisa mendapatkan sheetId dari metadata spreadsheet jika ada banyak sheet.
-                            dimension: 'ROWS',
-                            startIndex: sheetRowIndex -1, // Start index is 0-based for API, so sheetRowIndex - 1
-                            endIndex: sheetRowIndex // End index is exclusive, so sheetRowIndex to delete one row
-                        }
-                    }
-                }]
-            }
-        };
-
-        await gapi.client.sheets.spreadsheets.batchUpdate(request);
-
-        ErrorHandler.log(`Row ${sheetRowIndex} deleted successfully from Google Sheets.`);
-        ErrorHandler.showUserError('Data pelanggan berhasil dihapus!');
+        ErrorHandler.log(`Attempting to delete record: ${recordId}`);
+
+        // Same write path as the table delete button: audited and moved to the trash tab
+        const record = googleSheetsIntegration.findRecord(recordId) || { id: recordId };
+        await googleSheetsIntegration.deleteRecords([record]);
+
+        ErrorHandler.log(`Row ${recordId} moved to trash.`);
+        ErrorHandler.showUserError('Data pelanggan dipindah ke tempat sampah.');
 
         // Refresh data di tabel setelah penghapusan
         safeRefreshData();
 
     } catch (error) {
-        ErrorHandler.handleError(error, `deleteCustomerRow for index ${rowIndex}`);
+        ErrorHandler.handleError(error, `deleteCustomerRow for record ${recordId}`);
         ErrorHandler.showUserError(`Gagal menghapus data: ${error.message}`);
     }
 }
@@ -579,6 +601,16 @@ function initializeAddCustomerForm() {
 
 function populateSalesDropdown() {
   try {
+    // Sales aktif dari daftar sales (roster)
+    const salesNames = googleSheetsIntegration ? googleSheetsIntegration.salesNames() : [];
+
+    // Input teks sales memakai datalist sebagai saran
+    const datalist = document.getElementById('salesOptions');
+    if (datalist) {
+      datalist.innerHTML = '';
+      salesNames.forEach(salesName => datalist.appendChild(new Option(salesName, salesName)));
+    }
+
     const salesSelect = document.getElementById('assignedSales');
     const editSalesSelect = document.getElementById('editSales');
     
@@ -592,16 +624,9 @@ function populateSalesDropdown() {
     salesSelect.innerHTML = '<option value="">Pilih Sales</option>';
     editSalesSelect.innerHTML = '<option value="">Pilih Sales</option>';
     
-    // Get sales from the sidebar
-    const salesItems = document.querySelectorAll('.sales-item');
-    salesItems.forEach(item => {
-      const salesName = item.textContent.trim();
-      if (salesName && salesName !== 'All') {
-        const option1 = new Option(salesName, salesName);
-        const option2 = new Option(salesName, salesName);
-        salesSelect.add(option1);
-        editSalesSelect.add(option2);
-      }
+    salesNames.forEach(salesName => {
+      salesSelect.add(new Option(salesName, salesName));
+      editSalesSelect.add(new Option(salesName, salesName));
     });
     
   } catch (error) {
@@ -612,18 +637,28 @@ function populateSalesDropdown() {
 async function handleAddCustomerSubmit(e) {
   e.preventDefault();
 
-  if (!gapiInited || !gapi.client.sheets) {
-    ErrorHandler.showUserError('Google API client not initialized. Please try again.');
+  if (typeof googleSheetsIntegration === 'undefined' || !googleSheetsIntegration.dataSource) {
+    ErrorHandler.showUserError('Data source belum siap. Silakan coba lagi.');
     return;
   }
   
   try {
     const formData = new FormData(e.target);
     const customerData = Object.fromEntries(formData.entries());
-    
-    // Validate required fields
-    if (!customerData.nama || !customerData.no_telepon || !customerData.alamat || !customerData.odp_terdekat || !customerData.nama_sales) {
-      ErrorHandler.showUserError('Mohon lengkapi semua field yang wajib diisi');
+
+    // Prepare record; column positions come from the sheet header (see sheet-schema.js).
+    // Validation and defaults are shared with the import wizard (see customer-validation.js).
+    const record = CustomerValidation.buildRecord(customerData);
+    const errors = CustomerValidation.validate(record);
+    if (errors.length > 0) {
+      ErrorHandler.showUserError(errors.join(' '));
+      return;
+    }
+
+    // Warn when the same household may already be registered (possibly by another sales)
+    const duplicates = await googleSheetsIntegration.findDuplicates(record);
+    if (duplicates.length > 0 &&
+        !confirm(`Kemungkinan duplikat: ${CustomerDuplicates.describeMatches(duplicates)}.\n\nTetap simpan?`)) {
       return;
     }
     
@@ -633,48 +668,11 @@ async function handleAddCustomerSubmit(e) {
     saveBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Menyimpan...';
     saveBtn.disabled = true;
     
-    // Prepare data for Google Sheets
-    const rowData = [
-      [
-        customerData.odp_terdekat || '',
-        customerData.nama || '',
-        customerData.alamat || '',
-        customerData.no_telepon || '',
-        customerData.nama_sales || '',
-        customerData.visit || 'Not Visited',
-        customerData.keterangan || '',
-        customerData.status || 'Baru',
-        customerData.email || '',
-        customerData.kelurahan || '',
-        customerData.tanggal_visit || '',
-        customerData.priority || 'Normal'
-      ]
-    ];
-    
-    // Get sheet name from config
-    const sheetName = CONFIG.DATA_RANGE.split('!')[0].replace(/'/g, "");
-    
-    // Get current data to find the next empty row
-    const response = await gapi.client.sheets.spreadsheets.values.get({
-      spreadsheetId: CONFIG.SPREADSHEET_ID,
-      range: CONFIG.DATA_RANGE
-    });
-    
-    const values = response.result.values || [];
-    const nextRow = values.length + 2; // +2 because header is row 1
-    
-    // Append new customer data
-    await gapi.client.sheets.spreadsheets.values.update({
-      spreadsheetId: CONFIG.SPREADSHEET_ID,
-      range: `${sheetName}!A${nextRow}:L${nextRow}`,
-      valueInputOption: 'USER_ENTERED',
-      resource: {
-        values: rowData
-      }
-    });
+    // Append new customer data to the active data source
+    await googleSheetsIntegration.createCustomer(record);
     
     // Success message
-    ErrorHandler.showUserError('Calon pelanggan berhasil ditambahkan!');
+    ErrorHandler.showUserError(googleSheetsIntegration.writeSuccessMessage('Calon pelanggan berhasil ditambahkan!'));
     
     // Reset form and hide
     resetAddCustomerForm();
@@ -708,6 +706,11 @@ function resetAddCustomerForm() {
     inputs.forEach(input => {
       input.classList.remove('error');
     });
+
+    const duplicateWarning = document.getElementById('customerPhoneDuplicate');
+    if (duplicateWarning) {
+      duplicateWarning.hidden = true;
+    }
     
   } catch (error) {
     ErrorHandler.handleError(error, 'resetAddCustomerForm');
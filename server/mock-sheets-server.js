@@ -0,0 +1,419 @@
+/**
+ * Mock Google Sheets API - server lokal pengganti sheets.googleapis.com
+ *
+ * Mendukung endpoint yang dipakai dashboard:
+ * - GET  /v4/spreadsheets/:id                          (metadata: sheetId, jumlah baris/kolom)
+ * - GET  /v4/spreadsheets/:id/values/:range
+ * - PUT  /v4/spreadsheets/:id/values/:range            (values.update)
+ * - POST /v4/spreadsheets/:id/values/:range:append     (values.append)
+ * - POST /v4/spreadsheets/:id/values:batchUpdate       (values.batchUpdate)
+ * - POST /v4/spreadsheets/:id:batchUpdate              (deleteDimension dan addSheet, boleh beberapa sekaligus)
+ *
+ * Data disimpan di file JSON sehingga perubahan tetap ada setelah server di-restart.
+ * Dengan MOCK_REQUIRE_AUTH=1, request tulis tanpa header "Authorization: Bearer ..." ditolak
+ * dengan 401 seperti token yang kedaluwarsa (untuk menguji perpanjangan token di dashboard).
+ *
+ * Pemakaian:
+ *   node server/mock-sheets-server.js [path/ke/data.json]
+ *   lalu set CONFIG.API_BASE = 'http://localhost:8787/v4/spreadsheets'
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = parseInt(process.env.PORT || '8787', 10);
+const DATA_FILE = path.resolve(process.argv[2] || process.env.MOCK_SHEETS_DATA || path.join(__dirname, 'mock-sheets-data.json'));
+const SEED_FILE = path.join(__dirname, '..', 'data', 'sample-customers.json');
+const DEFAULT_SHEET_TITLE = 'REKAP CALON PELANGGAN BY SPARTA';
+const REQUIRE_AUTH = process.env.MOCK_REQUIRE_AUTH === '1';
+
+class ApiError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Penyimpanan file
+// ---------------------------------------------------------------------------
+
+function loadStore() {
+    if (!fs.existsSync(DATA_FILE)) {
+        const seed = JSON.parse(fs.readFileSync(SEED_FILE, 'utf8'));
+        const store = {
+            sheets: [{ sheetId: 0, title: DEFAULT_SHEET_TITLE, values: Array.isArray(seed) ? seed : seed.values }]
+        };
+        saveStore(store);
+        console.log(`🌱 Data file dibuat dari ${SEED_FILE}`);
+        return store;
+    }
+    return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+}
+
+function saveStore(store) {
+    const tmpFile = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(store, null, 2));
+    fs.renameSync(tmpFile, DATA_FILE);
+}
+
+function findSheet(store, title) {
+    const sheet = title
+        ? store.sheets.find(s => s.title === title)
+        : store.sheets[0];
+    if (!sheet) {
+        throw new ApiError(400, `Unable to parse range: ${title}`);
+    }
+    return sheet;
+}
+
+// ---------------------------------------------------------------------------
+// A1 notation
+// ---------------------------------------------------------------------------
+
+function letterToColumn(letters) {
+    let column = 0;
+    for (const char of letters.toUpperCase()) {
+        column = column * 26 + (char.charCodeAt(0) - 64);
+    }
+    return column - 1;
+}
+
+function columnToLetter(index) {
+    let letter = '';
+    let n = index + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        letter = String.fromCharCode(65 + remainder) + letter;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letter;
+}
+
+/**
+ * Parse "'Sheet Name'!A1:I1000", "Sheet!A5", "Sheet!A:I" atau "Sheet".
+ * Hasil: { title, startRow, endRow, startCol, endCol } dengan indeks 0-based (end inklusif, null = tak terbatas).
+ */
+function parseRange(range) {
+    let title = null;
+    let cells = range;
+
+    const bang = range.lastIndexOf('!');
+    if (bang !== -1) {
+        title = range.slice(0, bang);
+        cells = range.slice(bang + 1);
+    } else if (!/^[A-Z]*\d*(:[A-Z]*\d*)?$/i.test(range)) {
+        title = range;
+        cells = '';
+    }
+    if (title && title.startsWith("'") && title.endsWith("'")) {
+        title = title.slice(1, -1).replace(/''/g, "'");
+    }
+
+    const parsed = { title, startRow: 0, endRow: null, startCol: 0, endCol: null };
+    if (!cells) return parsed;
+
+    const [start, end] = cells.split(':');
+    const startMatch = start.match(/^([A-Z]*)(\d*)$/i);
+    const endMatch = (end || start).match(/^([A-Z]*)(\d*)$/i);
+    if (!startMatch || !endMatch) {
+        throw new ApiError(400, `Unable to parse range: ${range}`);
+    }
+
+    if (startMatch[1]) parsed.startCol = letterToColumn(startMatch[1]);
+    if (startMatch[2]) parsed.startRow = parseInt(startMatch[2], 10) - 1;
+    if (endMatch[1]) parsed.endCol = letterToColumn(endMatch[1]);
+    if (endMatch[2]) parsed.endRow = parseInt(endMatch[2], 10) - 1;
+    return parsed;
+}
+
+function formatRange(title, startRow, startCol, rowCount, colCount) {
+    const from = `${columnToLetter(startCol)}${startRow + 1}`;
+    const to = `${columnToLetter(startCol + Math.max(colCount, 1) - 1)}${startRow + Math.max(rowCount, 1)}`;
+    return `'${title.replace(/'/g, "''")}'!${from}:${to}`;
+}
+
+// Potong sel kosong di akhir baris dan baris kosong di akhir, seperti respons Sheets API
+function trimValues(values) {
+    const rows = values.map(row => {
+        const copy = [...row];
+        while (copy.length && (copy[copy.length - 1] === '' || copy[copy.length - 1] == null)) copy.pop();
+        return copy;
+    });
+    while (rows.length && rows[rows.length - 1].length === 0) rows.pop();
+    return rows;
+}
+
+function writeValues(sheet, startRow, startCol, values) {
+    values.forEach((row, r) => {
+        const target = sheet.values[startRow + r] || (sheet.values[startRow + r] = []);
+        row.forEach((value, c) => {
+            while (target.length < startCol + c) target.push('');
+            target[startCol + c] = value == null ? '' : String(value);
+        });
+    });
+    for (let i = 0; i < sheet.values.length; i++) {
+        if (!sheet.values[i]) sheet.values[i] = [];
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Handler endpoint
+// ---------------------------------------------------------------------------
+
+function getValues(store, range) {
+    const parsed = parseRange(range);
+    const sheet = findSheet(store, parsed.title);
+    const endRow = parsed.endRow == null ? sheet.values.length - 1 : parsed.endRow;
+
+    const values = trimValues(sheet.values
+        .slice(parsed.startRow, endRow + 1)
+        .map(row => row.slice(parsed.startCol, parsed.endCol == null ? undefined : parsed.endCol + 1)));
+
+    const response = {
+        range: formatRange(sheet.title, parsed.startRow, parsed.startCol, endRow - parsed.startRow + 1,
+            parsed.endCol == null ? 26 : parsed.endCol - parsed.startCol + 1),
+        majorDimension: 'ROWS'
+    };
+    if (values.length) response.values = values;
+    return response;
+}
+
+function getMetadata(store) {
+    return {
+        spreadsheetId: store.spreadsheetId,
+        sheets: store.sheets.map(sheet => ({
+            properties: {
+                sheetId: sheet.sheetId,
+                title: sheet.title,
+                index: store.sheets.indexOf(sheet),
+                sheetType: 'GRID',
+                gridProperties: {
+                    // Grid Sheets baru selalu minimal 1000 baris x 26 kolom
+                    rowCount: Math.max(sheet.values.length, 1000),
+                    columnCount: sheet.values.reduce((max, row) => Math.max(max, row.length), 26)
+                }
+            }
+        }))
+    };
+}
+
+function updateValues(store, range, body) {
+    const parsed = parseRange(range);
+    const sheet = findSheet(store, parsed.title);
+    const values = body.values || [];
+
+    writeValues(sheet, parsed.startRow, parsed.startCol, values);
+    saveStore(store);
+
+    const columns = values.reduce((max, row) => Math.max(max, row.length), 0);
+    return {
+        spreadsheetId: store.spreadsheetId,
+        updatedRange: formatRange(sheet.title, parsed.startRow, parsed.startCol, values.length, columns),
+        updatedRows: values.length,
+        updatedColumns: columns,
+        updatedCells: values.reduce((sum, row) => sum + row.length, 0)
+    };
+}
+
+function batchUpdateValues(store, body) {
+    const data = body.data || [];
+
+    // Validasi semua range dulu: seperti Sheets, request gagal seluruhnya atau berhasil seluruhnya
+    const targets = data.map(entry => {
+        const parsed = parseRange(entry.range);
+        return { parsed, sheet: findSheet(store, parsed.title), values: entry.values || [] };
+    });
+
+    const responses = targets.map(({ parsed, sheet, values }) => {
+        writeValues(sheet, parsed.startRow, parsed.startCol, values);
+        const columns = values.reduce((max, row) => Math.max(max, row.length), 0);
+        return {
+            spreadsheetId: store.spreadsheetId,
+            updatedRange: formatRange(sheet.title, parsed.startRow, parsed.startCol, values.length, columns),
+            updatedRows: values.length,
+            updatedColumns: columns,
+            updatedCells: values.reduce((sum, row) => sum + row.length, 0)
+        };
+    });
+    saveStore(store);
+
+    return {
+        spreadsheetId: store.spreadsheetId,
+        totalUpdatedRows: responses.reduce((sum, r) => sum + r.updatedRows, 0),
+        totalUpdatedCells: responses.reduce((sum, r) => sum + r.updatedCells, 0),
+        responses
+    };
+}
+
+function appendValues(store, range, body) {
+    const parsed = parseRange(range);
+    const sheet = findSheet(store, parsed.title);
+    const values = body.values || [];
+
+    // Sama seperti Sheets: tambahkan setelah baris terakhir yang berisi data
+    const startRow = trimValues(sheet.values).length;
+    writeValues(sheet, startRow, parsed.startCol, values);
+    saveStore(store);
+
+    const columns = values.reduce((max, row) => Math.max(max, row.length), 0);
+    return {
+        spreadsheetId: store.spreadsheetId,
+        tableRange: formatRange(sheet.title, 0, 0, startRow, columns),
+        updates: {
+            updatedRange: formatRange(sheet.title, startRow, parsed.startCol, values.length, columns),
+            updatedRows: values.length,
+            updatedColumns: columns,
+            updatedCells: values.reduce((sum, row) => sum + row.length, 0)
+        }
+    };
+}
+
+function batchUpdate(store, body) {
+    const requests = body.requests || [];
+    const titles = new Set(store.sheets.map(s => s.title));
+    requests.forEach((request, index) => {
+        if (request.addSheet) {
+            const title = request.addSheet.properties && request.addSheet.properties.title;
+            if (!title || titles.has(title)) {
+                throw new ApiError(400, `Invalid requests[${index}].addSheet: A sheet with the name "${title}" already exists.`);
+            }
+            titles.add(title);
+            return;
+        }
+        if (!request.deleteDimension) {
+            throw new ApiError(400, `Unsupported request: ${Object.keys(request).join(', ')}`);
+        }
+        const { sheetId } = request.deleteDimension.range;
+        if (!store.sheets.some(s => s.sheetId === (sheetId || 0))) {
+            throw new ApiError(400, `No grid with id: ${sheetId}`);
+        }
+    });
+
+    // Request dijalankan berurutan, sama seperti Sheets API
+    const replies = requests.map(request => {
+        if (request.addSheet) {
+            const sheet = {
+                sheetId: Math.max(...store.sheets.map(s => s.sheetId)) + 1,
+                title: request.addSheet.properties.title,
+                values: []
+            };
+            store.sheets.push(sheet);
+            const { properties } = getMetadata(store).sheets.find(s => s.properties.sheetId === sheet.sheetId);
+            return { addSheet: { properties } };
+        }
+
+        const { sheetId, dimension, startIndex, endIndex } = request.deleteDimension.range;
+        const sheet = store.sheets.find(s => s.sheetId === (sheetId || 0));
+
+        if (dimension === 'ROWS') {
+            sheet.values.splice(startIndex, endIndex - startIndex);
+        } else {
+            sheet.values.forEach(row => row.splice(startIndex, endIndex - startIndex));
+        }
+        return {};
+    });
+
+    saveStore(store);
+    return { spreadsheetId: store.spreadsheetId, replies };
+}
+
+// ---------------------------------------------------------------------------
+// HTTP
+// ---------------------------------------------------------------------------
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            if (!raw) return resolve({});
+            try {
+                resolve(JSON.parse(raw));
+            } catch (error) {
+                reject(new ApiError(400, 'Invalid JSON payload'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(payload));
+}
+
+async function route(req) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const match = url.pathname.match(/^\/v4\/spreadsheets\/([^/:]+)(.*)$/);
+    if (!match) {
+        throw new ApiError(404, `Not found: ${url.pathname}`);
+    }
+
+    const store = loadStore();
+    store.spreadsheetId = match[1];
+    const rest = match[2];
+
+    if (rest === '' && req.method === 'GET') {
+        return getMetadata(store);
+    }
+
+    if (rest === ':batchUpdate' && req.method === 'POST') {
+        return batchUpdate(store, await readBody(req));
+    }
+
+    if (rest === '/values:batchUpdate' && req.method === 'POST') {
+        return batchUpdateValues(store, await readBody(req));
+    }
+
+    const valuesMatch = rest.match(/^\/values\/([^/]+?)(:append)?$/);
+    if (valuesMatch) {
+        const range = decodeURIComponent(valuesMatch[1]);
+        if (valuesMatch[2] && req.method === 'POST') {
+            return appendValues(store, range, await readBody(req));
+        }
+        if (!valuesMatch[2] && req.method === 'GET') {
+            return getValues(store, range);
+        }
+        if (!valuesMatch[2] && req.method === 'PUT') {
+            return updateValues(store, range, await readBody(req));
+        }
+    }
+
+    throw new ApiError(404, `Not found: ${req.method} ${url.pathname}`);
+}
+
+const server = http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Accept');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    try {
+        if (REQUIRE_AUTH && req.method !== 'GET' && !/^Bearer \S+/.test(req.headers.authorization || '')) {
+            throw new ApiError(401, 'Request is missing required authentication credential.');
+        }
+        const payload = await route(req);
+        console.log(`✅ ${req.method} ${decodeURIComponent(req.url)}`);
+        sendJson(res, 200, payload);
+    } catch (error) {
+        const code = error.code || 500;
+        console.error(`❌ ${req.method} ${req.url}: ${error.message}`);
+        sendJson(res, code, { error: { code, message: error.message, status: { 401: 'UNAUTHENTICATED', 404: 'NOT_FOUND' }[code] || 'INVALID_ARGUMENT' } });
+    }
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`🚀 Mock Sheets API berjalan di http://localhost:${PORT}/v4/spreadsheets`);
+        console.log(`📁 Data file: ${DATA_FILE}`);
+    });
+}
+
+module.exports = { server, parseRange };
@@ -0,0 +1,584 @@
+/**
+ * Proxy Server - API data dashboard tanpa kredensial Google di browser
+ *
+ * ID spreadsheet dan kredensial service account hanya ada di server. Browser mengirim
+ * "Authorization: Bearer <ID token Google Sign-In>"; token divalidasi (tanda tangan JWKS,
+ * issuer, audience CLIENT_ID, kedaluwarsa) lalu email-nya dicocokkan ke role lewat USER_ROLES
+ * di config.js dan tab USERS. Berbeda dengan dashboard, email yang tidak terdaftar tidak
+ * mendapat DEFAULT_ROLE: semua request-nya ditolak (HTTP 403).
+ * Role sales hanya menerima dan boleh mengubah customer dengan NAMA SALES miliknya.
+ *
+ * Endpoint (resource: customers, sales, audit, trash, users; nomor baris 1-based, baris 1 = header):
+ * - GET    /:resource          -> { header, rows: [{ id, values }] }, hanya baris yang boleh dilihat
+ * - POST   /:resource          -> body { rows: [[...]] }, balasan { ids }
+ * - PATCH  /:resource          -> body { updates: [{ id, values }] }
+ * - DELETE /:resource?ids=3,5
+ * - POST   /:resource/header   -> body { header }; tab dibuat dengan header default jika masih kosong
+ * - POST   /customers/duplicates -> body { record, excludeId }; balasan { matches }, customer yang tidak
+ *                                   boleh dilihat hanya berisi { id, nama_sales, hidden: true }
+ * - GET    /users/me           -> { email, role, nama_sales } user yang login
+ * - GET    /:resource/:id      -> { id, values }; header (baris 1) boleh dibaca semua user
+ * - PUT    /:resource/:id      -> body { values }
+ * - DELETE /:resource/:id
+ *
+ * Environment:
+ *   PORT                            port server (default 8788)
+ *   PROXY_STORE                     'file' (default) atau 'sheets'
+ *   PROXY_DATA_FILE                 file JSON store 'file' (default server/proxy-data.json, dibuat dari data/sample-customers.json)
+ *   SPREADSHEET_ID                  spreadsheet untuk store 'sheets'
+ *   GOOGLE_APPLICATION_CREDENTIALS  file kunci JSON service account untuk store 'sheets'
+ *   GOOGLE_CLIENT_ID                audience ID token (default CONFIG.CLIENT_ID)
+ *   PROXY_ALLOWED_ORIGIN            origin dashboard untuk CORS (default *)
+ *   PROXY_DEV_AUTH=1                terima token "dev:<email>" untuk testing lokal tanpa Google
+ *
+ * Pemakaian:
+ *   node server/proxy-server.js
+ *   lalu set CONFIG.DATA_SOURCE = 'proxy' dan CONFIG.PROXY_URL = 'http://localhost:8788'
+ */
+
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+
+const CONFIG = require('../config.js');
+const { SheetSchema, CUSTOMER_FIELDS } = require('../sheet-schema.js');
+const { UserAccess, USER_FIELDS } = require('../user-access.js');
+const { SALES_FIELDS } = require('../sales-roster.js');
+const { AUDIT_FIELDS } = require('../audit-log.js');
+const { TRASH_FIELDS, TRASH_FIELD_LABELS } = require('../customer-trash.js');
+const IdToken = require('../id-token.js');
+// customer-duplicates.js memakai PhoneUtils sebagai global, sama seperti di browser
+global.PhoneUtils = require('../phone-utils.js');
+const { CustomerDuplicates } = require('../customer-duplicates.js');
+const { FileStore, SheetsStore } = require('./proxy-stores.js');
+
+const PORT = parseInt(process.env.PORT || '8788', 10);
+const CLIENT_ID = process.env.GOOGLE_CLIENT_ID || CONFIG.CLIENT_ID;
+const ALLOWED_ORIGIN = process.env.PROXY_ALLOWED_ORIGIN || '*';
+const DEV_AUTH = process.env.PROXY_DEV_AUTH === '1';
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const USERS_CACHE_MS = 60 * 1000; // perubahan role di tab USERS berlaku paling lambat 1 menit
+
+class ApiError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+function createStore() {
+    if ((process.env.PROXY_STORE || 'file') === 'sheets') {
+        return new SheetsStore({
+            spreadsheetId: process.env.SPREADSHEET_ID,
+            credentialsFile: process.env.GOOGLE_APPLICATION_CREDENTIALS
+        });
+    }
+    return new FileStore(path.resolve(process.env.PROXY_DATA_FILE || path.join(__dirname, 'proxy-data.json')), {
+        seedFile: path.join(__dirname, '..', 'data', 'sample-customers.json'),
+        seedTitle: CONFIG.SHEET_NAME
+    });
+}
+
+const store = createStore();
+
+// ---------------------------------------------------------------------------
+// Autentikasi: ID token Google
+// ---------------------------------------------------------------------------
+
+const jwks = { keys: [], fetchedAt: 0 };
+
+/**
+ * Kunci publik Google dengan kid tertentu, disimpan di memori selama JWKS_MAX_AGE_MS.
+ */
+async function findGoogleKey(kid) {
+    let key = jwks.keys.find(item => item.kid === kid);
+    if (key && Date.now() - jwks.fetchedAt < IdToken.JWKS_MAX_AGE_MS) return key;
+
+    try {
+        const response = await fetch(IdToken.JWKS_URL);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        jwks.keys = (await response.json()).keys || [];
+        jwks.fetchedAt = Date.now();
+        key = jwks.keys.find(item => item.kid === kid);
+    } catch (error) {
+        if (!key) throw new ApiError(503, `Kunci publik Google tidak bisa diambil: ${error.message}`);
+        console.warn('⚠️ Kunci publik Google tidak bisa diambil, memakai cache:', error.message);
+    }
+    if (!key) throw new ApiError(401, 'Kunci penanda tangan ID token tidak dikenal');
+    return key;
+}
+
+async function verifyIdToken(token) {
+    let decoded;
+    try {
+        decoded = IdToken.decode(token);
+    } catch (error) {
+        throw new ApiError(401, 'Format ID token tidak valid');
+    }
+    try {
+        IdToken.checkClaims(decoded.claims, CLIENT_ID);
+    } catch (error) {
+        throw new ApiError(401, error.message);
+    }
+    if (decoded.header.alg !== 'RS256') {
+        throw new ApiError(401, `Algoritma ID token tidak didukung: ${decoded.header.alg}`);
+    }
+
+    const jwk = await findGoogleKey(decoded.header.kid);
+    const publicKey = crypto.createPublicKey({ key: { kty: jwk.kty, n: jwk.n, e: jwk.e }, format: 'jwk' });
+    if (!crypto.verify('RSA-SHA256', Buffer.from(decoded.signedPart), publicKey, Buffer.from(decoded.signature))) {
+        throw new ApiError(401, 'Tanda tangan ID token tidak valid');
+    }
+    return decoded.claims.email.toLowerCase();
+}
+
+async function authenticate(req) {
+    const match = /^Bearer (\S+)$/.exec(req.headers.authorization || '');
+    if (!match) throw new ApiError(401, 'Login dibutuhkan: header Authorization tidak ada');
+    if (DEV_AUTH && match[1].startsWith('dev:')) return match[1].slice(4).toLowerCase();
+    return verifyIdToken(match[1]);
+}
+
+// ---------------------------------------------------------------------------
+// Role dan hak akses
+// ---------------------------------------------------------------------------
+
+const userRoles = Object.fromEntries(Object.entries(CONFIG.USER_ROLES || {})
+    .map(([email, entry]) => [email.trim().toLowerCase(), entry]));
+let usersCache = null; // { rows, loadedAt }
+
+// Schema dipakai ulang per header supaya tidak dibangun (dan dicatat ke log) setiap request
+const schemas = new Map();
+
+function schemaFor(header, aliases, fields) {
+    const key = JSON.stringify([header, fields]);
+    if (!schemas.has(key)) schemas.set(key, new SheetSchema(header, aliases, fields));
+    return schemas.get(key);
+}
+
+async function loadUsers() {
+    if (!usersCache || Date.now() - usersCache.loadedAt > USERS_CACHE_MS) {
+        usersCache = { rows: await store.list(CONFIG.USERS_SHEET_NAME), loadedAt: Date.now() };
+    }
+    return usersCache.rows;
+}
+
+/**
+ * Role dan nama sales untuk email dari USER_ROLES lalu tab USERS. Email yang tidak terdaftar
+ * (atau role-nya tidak dikenal) ditolak; server tidak memakai DEFAULT_ROLE.
+ */
+async function resolveUser(email) {
+    let entry = userRoles[email] || null;
+    if (!entry) {
+        const rows = await loadUsers();
+        if (rows.length > 0) {
+            const schema = schemaFor(rows[0], CONFIG.USERS_COLUMN_MAPPING, USER_FIELDS);
+            entry = rows.slice(1)
+                .map((row, index) => schema.toRecord(row, index + 2))
+                .find(user => user.email.toLowerCase() === email) || null;
+        }
+    }
+
+    const role = UserAccess.normalizeRole(entry && entry.role);
+    if (!role) {
+        throw new ApiError(403, `Akses ditolak: akun ${email} belum terdaftar. Minta admin menambahkannya ke tab ${CONFIG.USERS_SHEET_NAME}.`);
+    }
+    return {
+        email,
+        role,
+        nama_sales: entry && entry.nama_sales ? String(entry.nama_sales).trim() : ''
+    };
+}
+
+function can(user, permission) {
+    return (UserAccess.PERMISSIONS[user.role] || []).includes(permission);
+}
+
+/**
+ * @param {string|null|false} permission null = semua user terdaftar (lihat resolveUser), false = tidak ada yang boleh
+ */
+function requirePermission(user, permission) {
+    if (permission === false) {
+        throw new ApiError(403, 'Akses ditolak: data ini tidak boleh diubah.');
+    }
+    if (permission && !can(user, permission)) {
+        const role = UserAccess.ROLES[user.role] || 'Tamu';
+        throw new ApiError(403, `Akses ditolak: role ${role} tidak boleh ${UserAccess.PERMISSION_LABELS[permission] || permission}.`);
+    }
+}
+
+/**
+ * Aturan per resource:
+ * - sheet: nama tab; aliases/fields: schema untuk membaca baris
+ * - read/create/createMany/update/updateMany/remove: permission yang dibutuhkan (lihat requirePermission)
+ * - header: permission untuk membuat tab yang belum ada dan mengubah header (baris 1)
+ * - columns: header default tab; tab baru hanya boleh dibuat dengan header ini
+ * - visible(user, record): baris yang boleh dilihat dan diubah; tanpa visible semua baris
+ * - stamp: kolom yang selalu diisi email user yang login, supaya tidak bisa dipalsukan dari browser
+ */
+const TRASH_ALIASES = Object.fromEntries(TRASH_FIELDS.map(field => [field, [TRASH_FIELD_LABELS[field]]]));
+
+// Sama dengan defaultHeader() di modul browser tiap tab
+function defaultColumns(fields, aliases = {}) {
+    return fields.map(field => (aliases[field] ? aliases[field][0] : field.toUpperCase()));
+}
+
+const RESOURCES = {
+    customers: {
+        sheet: CONFIG.SHEET_NAME,
+        aliases: CONFIG.COLUMN_MAPPING,
+        fields: CUSTOMER_FIELDS,
+        columns: defaultColumns(CUSTOMER_FIELDS, CONFIG.COLUMN_MAPPING),
+        read: null,
+        create: 'create',
+        createMany: 'import',
+        update: 'edit',
+        updateMany: 'bulk',
+        remove: 'delete',
+        header: 'manage_columns',
+        visible: (user, record) => can(user, 'view_all') ||
+            (Boolean(user.nama_sales) && UserAccess.sameSales(record.nama_sales, user.nama_sales))
+    },
+    sales: {
+        sheet: CONFIG.SALES_SHEET_NAME,
+        aliases: CONFIG.SALES_COLUMN_MAPPING,
+        fields: SALES_FIELDS,
+        columns: defaultColumns(SALES_FIELDS, CONFIG.SALES_COLUMN_MAPPING),
+        read: null,
+        create: 'manage_sales',
+        update: 'manage_sales',
+        remove: 'manage_sales',
+        header: 'manage_sales'
+    },
+    audit: {
+        sheet: CONFIG.AUDIT_SHEET_NAME,
+        aliases: {},
+        fields: AUDIT_FIELDS,
+        columns: defaultColumns(AUDIT_FIELDS),
+        read: 'audit',
+        create: 'edit',
+        update: false,
+        remove: false,
+        header: 'manage_users',
+        stamp: 'USER'
+    },
+    trash: {
+        sheet: CONFIG.TRASH_SHEET_NAME,
+        aliases: TRASH_ALIASES,
+        fields: TRASH_FIELDS,
+        columns: defaultColumns(TRASH_FIELDS, TRASH_ALIASES),
+        read: 'restore',
+        create: 'delete',
+        update: false,
+        remove: 'restore',
+        header: 'manage_users',
+        stamp: 'DIHAPUS OLEH'
+    },
+    users: {
+        sheet: CONFIG.USERS_SHEET_NAME,
+        aliases: CONFIG.USERS_COLUMN_MAPPING,
+        fields: USER_FIELDS,
+        columns: defaultColumns(USER_FIELDS, CONFIG.USERS_COLUMN_MAPPING),
+        read: 'manage_users',
+        create: 'manage_users',
+        update: 'manage_users',
+        remove: 'manage_users',
+        header: 'manage_users'
+    }
+};
+
+function isVisible(user, resource, header, values) {
+    if (!resource.visible) return true;
+    const record = schemaFor(header, resource.aliases, resource.fields).toRecord(values, null);
+    return resource.visible(user, record);
+}
+
+function assertOwned(user, resource, header, rows) {
+    if (!rows.every(values => isVisible(user, resource, header, values))) {
+        throw new ApiError(403, 'Akses ditolak: hanya customer milik Anda sendiri yang boleh diubah.');
+    }
+}
+
+function stampRow(user, resource, header, values) {
+    const index = resource.stamp ? header.findIndex(label => SheetSchema.normalize(label) === resource.stamp) : -1;
+    if (index < 0) return values;
+    const row = [...values];
+    while (row.length <= index) row.push('');
+    row[index] = user.email;
+    return row;
+}
+
+function requireHeaderPermission(user, resource, action) {
+    if (!can(user, resource.header)) {
+        const role = UserAccess.ROLES[user.role] || 'Tamu';
+        throw new ApiError(403, `Akses ditolak: role ${role} tidak boleh ${action} tab "${resource.sheet}".`);
+    }
+}
+
+// Field yang dikenali untuk label kolom, atau null
+function fieldFor(resource, label) {
+    const name = SheetSchema.normalize(label);
+    return resource.fields.find(field => [field, ...(resource.aliases[field] || [])]
+        .some(alias => SheetSchema.normalize(alias) === name)) || null;
+}
+
+function assertDefaultHeader(resource, header) {
+    const same = header.length === resource.columns.length &&
+        header.every((label, index) => SheetSchema.normalize(label) === SheetSchema.normalize(resource.columns[index]));
+    if (!same) {
+        throw new ApiError(400, `Header tab "${resource.sheet}" harus: ${resource.columns.join(', ')}`);
+    }
+}
+
+/**
+ * Header hanya boleh bertambah kolom di akhir (ensureColumns di dashboard), dan kolom baru harus
+ * field yang dikenali schema tapi belum punya kolom.
+ */
+function assertHeaderExtension(resource, current, next) {
+    if (current.length === 0) return assertDefaultHeader(resource, next);
+
+    if (next.length < current.length ||
+        !current.every((label, index) => SheetSchema.normalize(label) === SheetSchema.normalize(next[index]))) {
+        throw new ApiError(400, 'Header hanya boleh ditambah kolom baru di akhir');
+    }
+    const existing = new Set(current.map(label => fieldFor(resource, label)).filter(Boolean));
+    next.slice(current.length).forEach(label => {
+        const field = fieldFor(resource, label);
+        if (!field || existing.has(field)) {
+            throw new ApiError(400, `Kolom "${label}" tidak dikenali atau sudah ada di header`);
+        }
+        existing.add(field);
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Handler endpoint
+// ---------------------------------------------------------------------------
+
+function parseRowNumber(value) {
+    const rowNumber = Number(value);
+    if (!Number.isInteger(rowNumber) || rowNumber < 1) {
+        throw new ApiError(400, `Nomor baris tidak valid: ${value}`);
+    }
+    return rowNumber;
+}
+
+function assertValues(values) {
+    if (!Array.isArray(values) || values.some(value => value !== null && typeof value === 'object')) {
+        throw new ApiError(400, 'Baris harus berupa array nilai');
+    }
+}
+
+async function listRows(user, resource) {
+    requirePermission(user, resource.read);
+    const rows = await store.list(resource.sheet);
+    const header = rows[0] || [];
+    return {
+        header,
+        rows: rows.slice(1)
+            .map((values, index) => ({ id: index + 2, values }))
+            .filter(({ values }) => values.length > 0 && isVisible(user, resource, header, values))
+    };
+}
+
+async function getRow(user, resource, rowNumber) {
+    const rows = await store.list(resource.sheet);
+    if (rowNumber === 1) return { id: 1, values: rows[0] || [] };
+
+    requirePermission(user, resource.read);
+    const values = rows[rowNumber - 1] || [];
+    if (values.length > 0 && !isVisible(user, resource, rows[0] || [], values)) {
+        throw new ApiError(404, `Baris ${rowNumber} tidak ditemukan`);
+    }
+    return { id: rowNumber, values };
+}
+
+async function createRows(user, resource, body) {
+    const rows = body.rows;
+    if (!Array.isArray(rows) || rows.length === 0) throw new ApiError(400, 'rows wajib diisi');
+    rows.forEach(assertValues);
+    requirePermission(user, rows.length > 1 && resource.createMany ? resource.createMany : resource.create);
+
+    const header = (await store.list(resource.sheet))[0];
+    if (!header) throw new ApiError(400, `Tab "${resource.sheet}" belum punya header`);
+
+    const prepared = rows.map(values => stampRow(user, resource, header, values));
+    assertOwned(user, resource, header, prepared);
+    return { ids: await store.append(resource.sheet, prepared) };
+}
+
+async function updateRows(user, resource, updates) {
+    if (!Array.isArray(updates) || updates.length === 0) throw new ApiError(400, 'updates wajib diisi');
+    updates.forEach(({ values }) => assertValues(values));
+    requirePermission(user, updates.length > 1 && resource.updateMany ? resource.updateMany : resource.update);
+
+    const current = await store.list(resource.sheet);
+    const header = current[0] || [];
+    const changes = updates.map(({ id, values }) => {
+        const rowNumber = parseRowNumber(id);
+        if (rowNumber === 1) {
+            requireHeaderPermission(user, resource, 'mengubah header');
+            assertHeaderExtension(resource, header, values);
+        } else {
+            // Baris sebelum dan sesudah harus milik user, supaya customer tidak bisa dipindah ke sales lain
+            assertOwned(user, resource, header, [current[rowNumber - 1] || [], values]);
+        }
+        return { rowNumber, values };
+    });
+
+    await store.update(resource.sheet, changes);
+    return { updated: changes.length };
+}
+
+async function deleteRows(user, resource, ids) {
+    const rowNumbers = ids.map(parseRowNumber);
+    if (rowNumbers.length === 0) throw new ApiError(400, 'ids wajib diisi');
+    if (rowNumbers.includes(1)) throw new ApiError(400, 'Header tidak boleh dihapus');
+    requirePermission(user, resource.remove);
+
+    const current = await store.list(resource.sheet);
+    rowNumbers.forEach(rowNumber => {
+        if (!current[rowNumber - 1]) throw new ApiError(404, `Baris ${rowNumber} tidak ditemukan`);
+    });
+    assertOwned(user, resource, current[0] || [], rowNumbers.map(rowNumber => current[rowNumber - 1]));
+
+    await store.remove(resource.sheet, rowNumbers);
+    return { deleted: rowNumbers.length };
+}
+
+/**
+ * Cek duplikat di semua customer, termasuk milik sales lain, tanpa mengirim isi baris yang
+ * tidak boleh dilihat user (lihat CustomerDuplicates.buildIndex).
+ */
+async function findDuplicateRows(user, resource, body) {
+    if (resource !== RESOURCES.customers) throw new ApiError(404, 'Cek duplikat hanya untuk customers');
+    requirePermission(user, resource.read);
+
+    const candidate = body.record || {};
+    const record = Object.fromEntries(['nama', 'alamat', 'no_telepon']
+        .map(field => [field, candidate[field] == null ? '' : String(candidate[field])]));
+    const excludeId = body.excludeId == null ? null : Number(body.excludeId);
+
+    const rows = await store.list(resource.sheet);
+    const schema = schemaFor(rows[0] || [], resource.aliases, resource.fields);
+    const records = rows.slice(1)
+        .map((values, index) => schema.toRecord(values, index + 2))
+        .filter(row => row.nama || row.no_telepon);
+    const index = CustomerDuplicates.buildIndex(records, row => resource.visible(user, row));
+    return { matches: CustomerDuplicates.searchIndex(record, index, excludeId) };
+}
+
+/**
+ * Buat tab yang belum ada. Dipanggil setiap kali modul dashboard dimuat (ensureSheet), jadi
+ * tab yang sudah ada langsung dijawab tanpa memeriksa hak akses.
+ */
+async function ensureHeader(user, resource, body) {
+    assertValues(body.header);
+    if (body.header.length === 0) throw new ApiError(400, 'header wajib diisi');
+
+    const current = await store.list(resource.sheet);
+    if (current.length > 0) return { header: current[0], created: false };
+
+    requireHeaderPermission(user, resource, 'membuat');
+    assertDefaultHeader(resource, body.header);
+    await store.append(resource.sheet, [body.header]);
+    console.log(`🧩 Sheet "${resource.sheet}" dibuat`);
+    return { header: body.header, created: true };
+}
+
+// ---------------------------------------------------------------------------
+// HTTP
+// ---------------------------------------------------------------------------
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => {
+            raw += chunk;
+            if (raw.length > MAX_BODY_BYTES) {
+                reject(new ApiError(413, 'Request terlalu besar'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            if (!raw) return resolve({});
+            try {
+                resolve(JSON.parse(raw));
+            } catch (error) {
+                reject(new ApiError(400, 'JSON tidak valid'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, payload) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(payload));
+}
+
+async function route(req, user) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const match = url.pathname.match(/^\/([a-z]+)(?:\/([^/]+))?\/?$/);
+    const resource = match && RESOURCES[match[1]];
+    if (!resource) {
+        throw new ApiError(404, `Not found: ${url.pathname}`);
+    }
+
+    const item = match[2];
+    let result;
+    if (!item) {
+        if (req.method === 'GET') result = await listRows(user, resource);
+        if (req.method === 'POST') result = await createRows(user, resource, await readBody(req));
+        if (req.method === 'PATCH') result = await updateRows(user, resource, (await readBody(req)).updates);
+        if (req.method === 'DELETE') result = await deleteRows(user, resource, (url.searchParams.get('ids') || '').split(',').filter(Boolean));
+    } else if (item === 'header') {
+        if (req.method === 'POST') result = await ensureHeader(user, resource, await readBody(req));
+    } else if (item === 'me' && resource === RESOURCES.users) {
+        if (req.method === 'GET') result = { email: user.email, role: user.role, nama_sales: user.nama_sales };
+    } else if (item === 'duplicates') {
+        if (req.method === 'POST') result = await findDuplicateRows(user, resource, await readBody(req));
+    } else {
+        const rowNumber = parseRowNumber(item);
+        if (req.method === 'GET') result = await getRow(user, resource, rowNumber);
+        if (req.method === 'PUT') result = await updateRows(user, resource, [{ id: rowNumber, values: (await readBody(req)).values }]);
+        if (req.method === 'DELETE') result = await deleteRows(user, resource, [rowNumber]);
+    }
+
+    if (!result) throw new ApiError(405, `Method ${req.method} tidak didukung untuk ${url.pathname}`);
+    if (resource === RESOURCES.users && req.method !== 'GET') usersCache = null;
+    return result;
+}
+
+const server = http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Accept');
+    if (ALLOWED_ORIGIN !== '*') res.setHeader('Vary', 'Origin');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    try {
+        const user = await resolveUser(await authenticate(req));
+        const payload = await route(req, user);
+        console.log(`✅ ${user.email} (${user.role}) ${req.method} ${req.url}`);
+        sendJson(res, 200, payload);
+    } catch (error) {
+        const code = error instanceof ApiError ? error.code : 500;
+        console.error(`❌ ${req.method} ${req.url}: ${error.message}`);
+        sendJson(res, code, { error: { code, message: error.message } });
+    }
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`🚀 Proxy berjalan di http://localhost:${PORT} (store: ${store.constructor.name})`);
+        if (DEV_AUTH) console.warn('⚠️ PROXY_DEV_AUTH aktif: token "dev:<email>" diterima tanpa validasi. Jangan dipakai di produksi.');
+    });
+}
+
+module.exports = { server, RESOURCES };
@@ -0,0 +1,263 @@
+/**
+ * Penyimpanan untuk server/proxy-server.js
+ *
+ * Kedua store bekerja dengan baris seperti di spreadsheet (nomor baris 1-based, baris 1 = header):
+ * - list(title)                 -> array 2D; [] jika tab belum ada
+ * - append(title, rows)         -> nomor baris yang ditambahkan (tab dibuat jika belum ada)
+ * - update(title, updates)      -> updates: [{ rowNumber, values }]
+ * - remove(title, rowNumbers)
+ *
+ * FileStore menyimpan semua tab di satu file JSON (format sama dengan mock-sheets-server.js)
+ * untuk development lokal. SheetsStore menulis ke Google Sheets memakai service account,
+ * sehingga ID spreadsheet dan kredensial hanya ada di server.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+function descending(rowNumbers) {
+    return [...new Set(rowNumbers)].sort((a, b) => b - a);
+}
+
+// Buang sel kosong di akhir baris dan baris kosong di akhir tab
+function trimValues(values) {
+    const rows = values.map(row => {
+        const copy = (row || []).map(value => (value == null ? '' : String(value)));
+        while (copy.length && copy[copy.length - 1] === '') copy.pop();
+        return copy;
+    });
+    while (rows.length && rows[rows.length - 1].length === 0) rows.pop();
+    return rows;
+}
+
+class FileStore {
+    /**
+     * @param {string} file File JSON data
+     * @param {{ seedFile?: string, seedTitle?: string }} options Isi awal tab utama jika file belum ada
+     */
+    constructor(file, { seedFile, seedTitle } = {}) {
+        this.file = file;
+        this.seedFile = seedFile;
+        this.seedTitle = seedTitle;
+    }
+
+    load() {
+        if (!fs.existsSync(this.file)) {
+            const store = { sheets: [] };
+            if (this.seedFile && fs.existsSync(this.seedFile)) {
+                const seed = JSON.parse(fs.readFileSync(this.seedFile, 'utf8'));
+                store.sheets.push({ sheetId: 0, title: this.seedTitle, values: Array.isArray(seed) ? seed : seed.values });
+                console.log(`🌱 Data file dibuat dari ${this.seedFile}`);
+            }
+            this.save(store);
+            return store;
+        }
+        return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    }
+
+    save(store) {
+        const tmpFile = `${this.file}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(store, null, 2));
+        fs.renameSync(tmpFile, this.file);
+    }
+
+    sheet(store, title, create = false) {
+        let sheet = store.sheets.find(item => item.title === title);
+        if (!sheet && create) {
+            sheet = {
+                sheetId: store.sheets.reduce((max, item) => Math.max(max, item.sheetId + 1), 0),
+                title,
+                values: []
+            };
+            store.sheets.push(sheet);
+        }
+        return sheet || null;
+    }
+
+    async list(title) {
+        const sheet = this.sheet(this.load(), title);
+        return sheet ? trimValues(sheet.values) : [];
+    }
+
+    async append(title, rows) {
+        const store = this.load();
+        const sheet = this.sheet(store, title, true);
+        sheet.values = trimValues(sheet.values);
+        const first = sheet.values.length + 1;
+        rows.forEach(values => sheet.values.push(values.map(value => (value == null ? '' : String(value)))));
+        this.save(store);
+        return rows.map((_, index) => first + index);
+    }
+
+    async update(title, updates) {
+        const store = this.load();
+        const sheet = this.sheet(store, title, true);
+        // Sama seperti Sheets: sel setelah nilai terakhir yang dikirim tidak ikut berubah
+        updates.forEach(({ rowNumber, values }) => {
+            while (sheet.values.length < rowNumber) sheet.values.push([]);
+            const target = sheet.values[rowNumber - 1] || (sheet.values[rowNumber - 1] = []);
+            values.forEach((value, index) => {
+                while (target.length < index) target.push('');
+                target[index] = value == null ? '' : String(value);
+            });
+        });
+        this.save(store);
+    }
+
+    async remove(title, rowNumbers) {
+        const store = this.load();
+        const sheet = this.sheet(store, title);
+        if (!sheet) return;
+        descending(rowNumbers).forEach(rowNumber => sheet.values.splice(rowNumber - 1, 1));
+        this.save(store);
+    }
+}
+
+/**
+ * Google Sheets lewat REST API v4 dengan access token service account (JWT bearer grant).
+ * Spreadsheet harus dibagikan (Editor) ke email service account.
+ */
+class SheetsStore {
+    /**
+     * @param {{ spreadsheetId: string, credentialsFile: string, apiBase?: string }} options
+     */
+    constructor({ spreadsheetId, credentialsFile, apiBase = 'https://sheets.googleapis.com/v4/spreadsheets' }) {
+        if (!spreadsheetId) throw new Error('SPREADSHEET_ID belum diisi');
+        if (!credentialsFile) throw new Error('GOOGLE_APPLICATION_CREDENTIALS belum diisi');
+
+        this.spreadsheetId = spreadsheetId;
+        this.credentials = JSON.parse(fs.readFileSync(credentialsFile, 'utf8'));
+        this.apiBase = apiBase;
+        this.token = null; // { access_token, expiresAt }
+    }
+
+    base64Url(input) {
+        return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+    }
+
+    async getAccessToken() {
+        if (this.token && this.token.expiresAt - Date.now() > 60 * 1000) return this.token.access_token;
+
+        const tokenUri = this.credentials.token_uri || 'https://oauth2.googleapis.com/token';
+        const now = Math.floor(Date.now() / 1000);
+        const unsigned = [
+            this.base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT' })),
+            this.base64Url(JSON.stringify({
+                iss: this.credentials.client_email,
+                scope: 'https://www.googleapis.com/auth/spreadsheets',
+                aud: tokenUri,
+                iat: now,
+                exp: now + 3600
+            }))
+        ].join('.');
+        const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(this.credentials.private_key);
+
+        const response = await fetch(tokenUri, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+                assertion: `${unsigned}.${this.base64Url(signature)}`
+            })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(`Token service account ditolak: ${data.error_description || data.error || response.status}`);
+
+        this.token = { access_token: data.access_token, expiresAt: Date.now() + data.expires_in * 1000 };
+        return this.token.access_token;
+    }
+
+    async request(path, { method = 'GET', query = {}, body } = {}) {
+        const params = new URLSearchParams(query);
+        const response = await fetch(`${this.apiBase}/${this.spreadsheetId}${path}?${params}`, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${await this.getAccessToken()}`,
+                'Content-Type': 'application/json'
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`Google Sheets HTTP ${response.status}: ${(data.error && data.error.message) || response.statusText}`);
+        }
+        return data;
+    }
+
+    quotedRange(title, a1 = '') {
+        return `'${title.replace(/'/g, "''")}'${a1 ? `!${a1}` : ''}`;
+    }
+
+    valuesPath(title, a1, suffix = '') {
+        return `/values/${encodeURIComponent(this.quotedRange(title, a1))}${suffix}`;
+    }
+
+    async findSheet(title) {
+        const data = await this.request('', { query: { fields: 'sheets.properties' } });
+        const sheet = (data.sheets || []).find(item => item.properties.title === title);
+        return sheet ? sheet.properties : null;
+    }
+
+    async list(title) {
+        if (!await this.findSheet(title)) return [];
+        const data = await this.request(this.valuesPath(title));
+        return trimValues(data.values || []);
+    }
+
+    async append(title, rows) {
+        if (rows.length === 0) return [];
+        if (!await this.findSheet(title)) {
+            await this.request(':batchUpdate', {
+                method: 'POST',
+                body: { requests: [{ addSheet: { properties: { title } } }] }
+            });
+            console.log(`🧩 Sheet "${title}" dibuat`);
+        }
+
+        // RAW: nilai disimpan apa adanya. Dengan USER_ENTERED, isi seperti "=B3" menjadi rumus
+        // yang bisa menarik baris sales lain ke baris milik user dan lolos dari filter visible.
+        const data = await this.request(this.valuesPath(title, 'A1', ':append'), {
+            method: 'POST',
+            query: { valueInputOption: 'RAW', insertDataOption: 'INSERT_ROWS' },
+            body: { values: rows }
+        });
+        const match = data.updates && data.updates.updatedRange && data.updates.updatedRange.match(/![A-Z]+(\d+)/);
+        if (!match) return rows.map(() => null);
+        const first = parseInt(match[1], 10);
+        return rows.map((_, index) => first + index);
+    }
+
+    async update(title, updates) {
+        if (updates.length === 0) return;
+        await this.request('/values:batchUpdate', {
+            method: 'POST',
+            body: {
+                valueInputOption: 'RAW', // lihat append()
+                data: updates.map(({ rowNumber, values }) => ({
+                    range: this.quotedRange(title, `${rowNumber}:${rowNumber}`),
+                    values: [values]
+                }))
+            }
+        });
+    }
+
+    async remove(title, rowNumbers) {
+        if (rowNumbers.length === 0) return;
+        const sheet = await this.findSheet(title);
+        if (!sheet) return;
+
+        // Dijalankan berurutan oleh Sheets: hapus dari bawah agar nomor baris lain tidak bergeser
+        await this.request(':batchUpdate', {
+            method: 'POST',
+            body: {
+                requests: descending(rowNumbers).map(rowNumber => ({
+                    deleteDimension: {
+                        range: { sheetId: sheet.sheetId, dimension: 'ROWS', startIndex: rowNumber - 1, endIndex: rowNumber }
+                    }
+                }))
+            }
+        });
+    }
+}
+
+module.exports = { FileStore, SheetsStore, trimValues };
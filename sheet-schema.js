@@ -0,0 +1,140 @@
+/**
+ * Sheet Schema - memetakan kolom sheet ke field record berdasarkan nama header
+ *
+ * Posisi kolom tidak lagi di-hardcode: header baris pertama dicocokkan dengan
+ * tabel alias CONFIG.COLUMN_MAPPING, jadi kolom boleh diurutkan ulang atau ditambah
+ * tanpa merusak data. Semua baca dan tulis memakai schema yang sama.
+ */
+
+// Field customer yang dikenal dashboard, dalam urutan default (dipakai juga untuk sheet tanpa header dikenal)
+const CUSTOMER_FIELDS = [
+    'odp_terdekat', 'nama', 'alamat', 'no_telepon', 'nama_sales', 'visit', 'keterangan', 'status',
+    'keterangan_tambahan', 'email', 'kelurahan', 'tanggal_visit', 'priority', 'tanggal_input'
+];
+
+const CUSTOMER_FIELD_LABELS = {
+    odp_terdekat: 'ODP Terdekat',
+    nama: 'Nama',
+    alamat: 'Alamat',
+    no_telepon: 'No Telepon',
+    nama_sales: 'Nama Sales',
+    visit: 'Visit',
+    keterangan: 'Keterangan',
+    status: 'Status',
+    keterangan_tambahan: 'Keterangan Tambahan',
+    email: 'Email',
+    kelurahan: 'Kelurahan',
+    tanggal_visit: 'Tanggal Visit',
+    priority: 'Prioritas',
+    tanggal_input: 'Tanggal Input'
+};
+
+class SheetSchema {
+    /**
+     * @param {string[]} header Baris header dari sheet
+     * @param {Object<string, string[]>} aliases field -> daftar nama header yang diterima
+     * @param {string[]} fields Field yang dikenali
+     */
+    constructor(header = [], aliases = {}, fields = CUSTOMER_FIELDS) {
+        this.header = header.map(cell => String(cell || '').trim());
+        this.fields = fields;
+        this.aliases = aliases;
+        this.columns = {}; // field -> indeks kolom
+
+        const lookup = {};
+        fields.forEach(field => {
+            [field, ...(aliases[field] || [])].forEach(alias => {
+                lookup[SheetSchema.normalize(alias)] = field;
+            });
+        });
+
+        this.header.forEach((cell, index) => {
+            const field = lookup[SheetSchema.normalize(cell)];
+            // Jika ada dua kolom dengan nama sama, kolom pertama yang dipakai
+            if (field && this.columns[field] === undefined) {
+                this.columns[field] = index;
+            }
+        });
+
+        const unmapped = fields.filter(field => this.columns[field] === undefined);
+        if (Object.keys(this.columns).length === 0) {
+            console.warn('⚠️ Header sheet tidak dikenali, memakai urutan kolom default');
+            fields.slice(0, Math.max(this.header.length, 9)).forEach((field, index) => {
+                this.columns[field] = index;
+            });
+        } else if (unmapped.length > 0) {
+            console.log('ℹ️ Kolom tidak ada di sheet:', unmapped.join(', '));
+        }
+    }
+
+    static normalize(name) {
+        return String(name || '').toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim();
+    }
+
+    has(field) {
+        return this.columns[field] !== undefined;
+    }
+
+    /**
+     * Label kolom sesuai header di sheet, atau label default jika kolom belum ada.
+     */
+    label(field) {
+        return this.has(field) && this.header[this.columns[field]]
+            ? this.header[this.columns[field]]
+            : (CUSTOMER_FIELD_LABELS[field] || field);
+    }
+
+    get width() {
+        const indexes = Object.values(this.columns);
+        return Math.max(this.header.length, indexes.length ? Math.max(...indexes) + 1 : 0);
+    }
+
+    toRecord(row, rowNumber) {
+        const record = { id: rowNumber };
+        this.fields.forEach(field => {
+            const index = this.columns[field];
+            const value = index === undefined ? '' : row[index];
+            record[field] = value ? String(value).trim() : '';
+        });
+        return record;
+    }
+
+    /**
+     * Ubah record menjadi baris sheet. Kolom yang tidak dikenal diambil dari baseRow
+     * agar isinya tidak terhapus saat update.
+     */
+    toRow(record, baseRow = []) {
+        const row = Array.from({ length: this.width }, (_, index) => baseRow[index] || '');
+        this.fields.forEach(field => {
+            if (this.has(field) && record[field] !== undefined) {
+                row[this.columns[field]] = record[field] == null ? '' : record[field];
+            }
+        });
+        return row;
+    }
+
+    /**
+     * Field yang punya nilai di record tapi belum punya kolom di sheet.
+     */
+    missingFields(record) {
+        return this.fields.filter(field => !this.has(field) && record[field]);
+    }
+
+    /**
+     * Header baru dengan kolom tambahan untuk field yang belum ada.
+     */
+    withFields(fields) {
+        const header = [...this.header];
+        fields.forEach(field => {
+            if (!this.has(field)) {
+                header.push((this.aliases[field] && this.aliases[field][0]) || CUSTOMER_FIELD_LABELS[field].toUpperCase());
+            }
+        });
+        return new SheetSchema(header, this.aliases, this.fields);
+    }
+}
+
+// Dipakai juga oleh server/proxy-server.js (Node)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SheetSchema, CUSTOMER_FIELDS, CUSTOMER_FIELD_LABELS };
+}
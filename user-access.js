@@ -0,0 +1,173 @@
+/**
+ * User Access - role user yang login dan hak aksesnya
+ *
+ * Email dari ID token dicocokkan ke role lewat CONFIG.USER_ROLES lalu tab CONFIG.USERS_SHEET_NAME;
+ * email yang tidak terdaftar mendapat CONFIG.DEFAULT_ROLE. Role sales hanya melihat dan mengubah
+ * customer miliknya sendiri; supervisor dan admin melihat semua data.
+ *
+ * Pemeriksaan yang sama dipakai tampilan (tombol disembunyikan lewat atribut data-permission)
+ * dan jalur tulis di GoogleSheetsIntegration (assert sebelum request dikirim). Dengan
+ * DATA_SOURCE 'proxy', server/proxy-server.js memakai tabel PERMISSIONS yang sama, menolak
+ * request yang tidak diizinkan walau pemeriksaan di browser dilewati, dan menolak email yang
+ * tidak terdaftar (tanpa DEFAULT_ROLE).
+ */
+
+const USER_FIELDS = ['email', 'role', 'nama_sales'];
+
+const UserAccess = {
+    ROLES: {
+        sales: 'Sales',
+        supervisor: 'Supervisor',
+        admin: 'Admin'
+    },
+
+    // Hak akses per role. Tanpa view_all, hanya customer dengan nama_sales milik user yang terlihat.
+    PERMISSIONS: {
+        sales: ['create', 'edit'],
+        supervisor: ['view_all', 'create', 'edit', 'delete', 'bulk', 'import', 'restore', 'manage_sales', 'manage_columns', 'audit'],
+        admin: ['view_all', 'create', 'edit', 'delete', 'bulk', 'import', 'restore', 'purge', 'manage_sales', 'manage_columns', 'manage_users', 'audit']
+    },
+
+    PERMISSION_LABELS: {
+        view_all: 'melihat data sales lain',
+        create: 'menambah data',
+        edit: 'mengubah data',
+        delete: 'menghapus data',
+        bulk: 'memakai aksi massal',
+        import: 'import data',
+        restore: 'memulihkan data terhapus',
+        purge: 'menghapus permanen',
+        manage_sales: 'mengelola daftar sales',
+        manage_columns: 'menambah kolom di sheet',
+        manage_users: 'mengelola user dan role',
+        audit: 'melihat riwayat perubahan'
+    },
+
+    dataSource: null,
+    getUser: () => '',
+    userRoles: {},
+    defaultRole: 'sales',
+
+    // User yang sedang login; role null = belum login, tidak punya akses apa pun
+    current: { email: '', role: null, nama_sales: '' },
+
+    init(config, { getUser } = {}) {
+        this.dataSource = createDataSource(config, {
+            sheetName: config.USERS_SHEET_NAME,
+            defaultRows: [this.defaultHeader()]
+        });
+        if (getUser) this.getUser = getUser;
+        this.userRoles = Object.fromEntries(Object.entries(config.USER_ROLES || {})
+            .map(([email, entry]) => [email.trim().toLowerCase(), entry]));
+        this.defaultRole = config.DEFAULT_ROLE || 'sales';
+    },
+
+    defaultHeader() {
+        return USER_FIELDS.map(field => CONFIG.USERS_COLUMN_MAPPING[field][0]);
+    },
+
+    normalizeRole(role) {
+        const key = String(role || '').trim().toLowerCase();
+        return this.ROLES[key] ? key : null;
+    },
+
+    /**
+     * Tentukan role user yang login. Jika tab USERS gagal dibaca, hanya USER_ROLES dan
+     * DEFAULT_ROLE yang dipakai (tidak pernah memberi akses lebih dari yang terdaftar).
+     * Lewat proxy, role diambil dari server (GET /users/me) dan email yang tidak terdaftar
+     * tidak mendapat role apa pun, sama seperti aturan di server.
+     */
+    async load() {
+        const email = (this.getUser() || '').trim().toLowerCase();
+        let entry = this.userRoles[email] || null;
+        let fallbackRole = this.defaultRole;
+
+        if (email && typeof this.dataSource.currentUser === 'function') {
+            fallbackRole = null;
+            try {
+                entry = await this.dataSource.currentUser();
+            } catch (error) {
+                console.warn('⚠️ Role tidak bisa dimuat dari server:', error.message);
+                entry = null;
+            }
+        } else if (email && !entry) {
+            try {
+                entry = await this.findInSheet(email);
+            } catch (error) {
+                console.warn('⚠️ Daftar user tidak bisa dimuat, memakai role default:', error.message);
+            }
+        }
+
+        this.current = {
+            email,
+            role: email ? (this.normalizeRole(entry && entry.role) || this.normalizeRole(fallbackRole)) : null,
+            nama_sales: entry && entry.nama_sales ? String(entry.nama_sales).trim() : ''
+        };
+        console.log('👤 User role:', this.current.email || '(belum login)', this.current.role, this.current.nama_sales);
+        return this.current;
+    },
+
+    async findInSheet(email) {
+        await this.dataSource.ensureSheet(this.defaultHeader());
+        const rows = await this.dataSource.list();
+        const schema = new SheetSchema(rows[0] || this.defaultHeader(), CONFIG.USERS_COLUMN_MAPPING, USER_FIELDS);
+        return rows.slice(1)
+            .map((row, index) => schema.toRecord(row, index + 2))
+            .find(user => user.email.toLowerCase() === email) || null;
+    },
+
+    reset() {
+        this.current = { email: '', role: null, nama_sales: '' };
+    },
+
+    can(permission) {
+        return (this.PERMISSIONS[this.current.role] || []).includes(permission);
+    },
+
+    // true jika user hanya boleh melihat customer miliknya sendiri
+    isRestricted() {
+        return !this.can('view_all');
+    },
+
+    sameSales(a, b) {
+        return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+    },
+
+    /**
+     * Boleh melihat/mengubah record ini? Sales tanpa nama_sales terdaftar tidak memiliki record apa pun.
+     */
+    owns(record) {
+        if (!record) return false;
+        if (this.can('view_all')) return true;
+        return Boolean(this.current.nama_sales) && this.sameSales(record.nama_sales, this.current.nama_sales);
+    },
+
+    /**
+     * Lempar error jika user tidak punya hak akses atau salah satu record bukan miliknya.
+     * Untuk ubah data, kirim record sebelum dan sesudah supaya customer juga tidak bisa
+     * dipindahkan ke sales lain.
+     */
+    assert(permission, records = []) {
+        if (!this.can(permission)) {
+            const role = this.ROLES[this.current.role] || 'Tamu';
+            throw new Error(`Akses ditolak: role ${role} tidak boleh ${this.PERMISSION_LABELS[permission] || permission}.`);
+        }
+        if (!records.every(record => this.owns(record))) {
+            throw new Error('Akses ditolak: hanya customer milik Anda sendiri yang boleh diubah.');
+        }
+    },
+
+    /**
+     * Sembunyikan elemen [data-permission] yang tidak boleh dipakai user ini.
+     */
+    applyToPage(root = document) {
+        root.querySelectorAll('[data-permission]').forEach(element => {
+            element.hidden = !this.can(element.dataset.permission);
+        });
+    }
+};
+
+// Dipakai juga oleh server/proxy-server.js (Node)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { UserAccess, USER_FIELDS };
+}
@@ -0,0 +1,214 @@
+/**
+ * WhatsApp Templates - pustaka pesan follow-up dengan placeholder
+ *
+ * Template disimpan di localStorage browser. Placeholder {field} diganti dengan nilai
+ * record customer, mis. {nama}, {odp_terdekat}, {nama_sales}. Setiap pesan yang dibuka
+ * di WhatsApp dicatat ke kolom keterangan customer.
+ */
+
+const WhatsAppTemplates = {
+    STORAGE_KEY: 'waTemplates',
+
+    DEFAULT_TEMPLATES: [
+        {
+            id: 'perkenalan',
+            name: 'Perkenalan',
+            text: 'Halo {nama}, saya {nama_sales} dari tim sales internet fiber. Jaringan kami sudah tersedia di dekat lokasi Anda ({odp_terdekat}). Apakah Bapak/Ibu berminat mendapatkan info paket internetnya?'
+        },
+        {
+            id: 'follow-up',
+            name: 'Follow Up',
+            text: 'Halo {nama}, menindaklanjuti kunjungan kami sebelumnya, apakah ada yang ingin ditanyakan mengenai pemasangan internet? Terima kasih. - {nama_sales}'
+        },
+        {
+            id: 'jadwal-survey',
+            name: 'Jadwal Survey',
+            text: 'Halo {nama}, kami ingin menjadwalkan survey lokasi untuk pemasangan internet. Kapan waktu yang sesuai untuk Bapak/Ibu? - {nama_sales}'
+        }
+    ],
+
+    list() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            if (Array.isArray(stored)) return stored;
+        } catch (error) {
+            console.warn('⚠️ Template WhatsApp tidak bisa dibaca, memakai template bawaan:', error.message);
+        }
+        return this.DEFAULT_TEMPLATES.map(template => ({ ...template }));
+    },
+
+    saveAll(templates) {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(templates));
+    },
+
+    /**
+     * Simpan template baru (tanpa id) atau perbarui template yang ada.
+     */
+    save({ id, name, text }) {
+        const templates = this.list();
+        const existing = id && templates.find(template => template.id === id);
+        if (existing) {
+            existing.name = name;
+            existing.text = text;
+        } else {
+            id = `${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+            templates.push({ id, name, text });
+        }
+        this.saveAll(templates);
+        return id;
+    },
+
+    remove(id) {
+        this.saveAll(this.list().filter(template => template.id !== id));
+    },
+
+    /**
+     * Ganti {field} dengan nilai record. Placeholder yang tidak dikenal dibiarkan apa adanya.
+     */
+    render(text, record) {
+        return text.replace(/\{(\w+)\}/g, (match, field) =>
+            CUSTOMER_FIELDS.includes(field) ? (record[field] || '') : match
+        );
+    },
+
+    logNote(template) {
+        const time = new Date().toLocaleString('id-ID', { dateStyle: 'short', timeStyle: 'short' });
+        return `[${time}] WA "${template.name}" dikirim`;
+    }
+};
+
+/**
+ * Dialog pilih template dan kirim ke satu atau beberapa customer.
+ */
+const WhatsAppDialog = {
+    integration: null,
+    records: [],
+    sent: new Set(),
+
+    attach(integration) {
+        this.integration = integration;
+
+        const bind = (id, event, handler) => {
+            const element = document.getElementById(id);
+            if (element) element.addEventListener(event, handler);
+        };
+        bind('closeWaModal', 'click', () => this.close());
+        bind('waTemplateSelect', 'change', () => this.selectTemplate(document.getElementById('waTemplateSelect').value));
+        bind('waTemplateText', 'input', () => this.renderRecipients());
+        bind('waNewTemplateBtn', 'click', () => this.selectTemplate(''));
+        bind('waSaveTemplateBtn', 'click', () => this.saveTemplate());
+        bind('waDeleteTemplateBtn', 'click', () => this.deleteTemplate());
+
+        const recipients = document.getElementById('waRecipients');
+        if (recipients) {
+            recipients.addEventListener('click', event => {
+                const link = event.target.closest('a[data-record-id]');
+                if (link) this.logSend(Number(link.dataset.recordId));
+            });
+        }
+
+        const placeholders = document.getElementById('waPlaceholders');
+        if (placeholders) {
+            placeholders.textContent = `Placeholder: ${CUSTOMER_FIELDS.map(field => `{${field}}`).join(' ')}`;
+        }
+    },
+
+    open(records) {
+        this.records = records;
+        this.sent = new Set();
+        this.renderTemplateOptions();
+        const templates = WhatsAppTemplates.list();
+        this.selectTemplate(templates.length ? templates[0].id : '');
+        document.getElementById('waModal').classList.add('show');
+    },
+
+    close() {
+        document.getElementById('waModal').classList.remove('show');
+    },
+
+    renderTemplateOptions(selectedId = '') {
+        const select = document.getElementById('waTemplateSelect');
+        select.innerHTML = '';
+        WhatsAppTemplates.list().forEach(template => select.appendChild(new Option(template.name, template.id)));
+        select.appendChild(new Option('+ Template baru', ''));
+        select.value = selectedId;
+    },
+
+    currentTemplate() {
+        return {
+            id: document.getElementById('waTemplateSelect').value,
+            name: document.getElementById('waTemplateName').value.trim() || 'Tanpa Nama',
+            text: document.getElementById('waTemplateText').value
+        };
+    },
+
+    selectTemplate(id) {
+        const template = WhatsAppTemplates.list().find(item => item.id === id);
+        document.getElementById('waTemplateSelect').value = template ? id : '';
+        document.getElementById('waTemplateName').value = template ? template.name : '';
+        document.getElementById('waTemplateText').value = template ? template.text : '';
+        document.getElementById('waDeleteTemplateBtn').disabled = !template;
+        this.renderRecipients();
+    },
+
+    saveTemplate() {
+        const template = this.currentTemplate();
+        if (!template.text.trim()) {
+            this.integration.showWarning('Isi template tidak boleh kosong.');
+            return;
+        }
+        const id = WhatsAppTemplates.save(template);
+        this.renderTemplateOptions(id);
+        this.selectTemplate(id);
+        this.integration.showMessage(`Template "${template.name}" disimpan`, 'success');
+    },
+
+    deleteTemplate() {
+        const template = this.currentTemplate();
+        if (!template.id || !confirm(`Hapus template "${template.name}"?`)) return;
+        WhatsAppTemplates.remove(template.id);
+        this.renderTemplateOptions();
+        const templates = WhatsAppTemplates.list();
+        this.selectTemplate(templates.length ? templates[0].id : '');
+    },
+
+    renderRecipients() {
+        const container = document.getElementById('waRecipients');
+        if (!container) return;
+
+        const { text } = this.currentTemplate();
+        const markup = this.records.map(record => {
+            const message = WhatsAppTemplates.render(text, record);
+            const url = PhoneUtils.whatsappUrl(record.no_telepon, message);
+            const action = !url
+                ? html`<span class="wa-invalid">Bukan nomor WhatsApp yang valid</span>`
+                : this.sent.has(record.id)
+                    ? html`<span class="wa-sent"><i class="fas fa-check"></i> Terkirim</span>`
+                    : html`<a class="btn-save wa-send" href="${url}" target="_blank" rel="noopener" data-record-id="${record.id}"><i class="fab fa-whatsapp"></i> Buka WhatsApp</a>`;
+            return html`
+                <div class="wa-recipient">
+                    <div>
+                        <strong>${record.nama}</strong> <small>${record.no_telepon}</small>
+                        <p class="wa-preview">${message}</p>
+                    </div>
+                    ${action}
+                </div>
+            `;
+        });
+        SafeHtml.render(container, html`${markup}`);
+    },
+
+    async logSend(recordId) {
+        const template = this.currentTemplate();
+        this.sent.add(recordId);
+        // Tunda render agar klik link tetap membuka WhatsApp sebelum tombolnya diganti
+        setTimeout(() => this.renderRecipients(), 0);
+
+        try {
+            await this.integration.appendNote(recordId, WhatsAppTemplates.logNote(template));
+        } catch (error) {
+            console.error('❌ WhatsApp log error:', error);
+            this.integration.showError('Pesan dibuka, tapi gagal dicatat ke keterangan: ' + error.message);
+        }
+    }
+};
@@ -0,0 +1,172 @@
+/**
+ * XLSX Reader - membaca sheet pertama file .xlsx menjadi array 2D
+ *
+ * Isi zip dibuka dengan DecompressionStream('deflate-raw') bawaan browser, jadi tidak
+ * butuh library tambahan. Browser lama tanpa DecompressionStream hanya bisa import CSV.
+ */
+
+const XlsxReader = {
+    isSupported() {
+        return typeof DecompressionStream !== 'undefined';
+    },
+
+    // File zip (termasuk xlsx) selalu diawali "PK\x03\x04"
+    isZip(bytes) {
+        return bytes.length > 4 && bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04;
+    },
+
+    /**
+     * Daftar isi zip dari central directory: nama -> { method, offset, compressedSize }
+     */
+    listEntries(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        // End of central directory ada di akhir file, sebelum komentar zip (maks 64 KB)
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) {
+            throw new Error('File Excel tidak valid (zip rusak)');
+        }
+
+        const count = view.getUint16(end + 10, true);
+        let position = view.getUint32(end + 16, true);
+        const decoder = new TextDecoder();
+        const entries = {};
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(position, true) !== 0x02014b50) {
+                throw new Error('File Excel tidak valid (central directory rusak)');
+            }
+            const method = view.getUint16(position + 10, true);
+            const compressedSize = view.getUint32(position + 20, true);
+            const nameLength = view.getUint16(position + 28, true);
+            const extraLength = view.getUint16(position + 30, true);
+            const commentLength = view.getUint16(position + 32, true);
+            const offset = view.getUint32(position + 42, true);
+            const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+
+            entries[name] = { method, offset, compressedSize };
+            position += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    },
+
+    async readEntry(bytes, entries, name) {
+        const entry = entries[name];
+        if (!entry) return null;
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const nameLength = view.getUint16(entry.offset + 26, true);
+        const extraLength = view.getUint16(entry.offset + 28, true);
+        const start = entry.offset + 30 + nameLength + extraLength;
+        const data = bytes.subarray(start, start + entry.compressedSize);
+
+        let content;
+        if (entry.method === 0) {
+            content = data;
+        } else if (entry.method === 8) {
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            content = new Uint8Array(await new Response(stream).arrayBuffer());
+        } else {
+            throw new Error(`Metode kompresi ${entry.method} tidak didukung`);
+        }
+        return new TextDecoder().decode(content);
+    },
+
+    parseXml(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Isi file Excel tidak bisa dibaca');
+        }
+        return doc;
+    },
+
+    children(node, localName) {
+        return Array.from(node.getElementsByTagNameNS('*', localName));
+    },
+
+    textOf(node) {
+        // Teks rich text terbagi ke beberapa <t>; gabungkan semuanya
+        return this.children(node, 't').map(t => t.textContent).join('');
+    },
+
+    /**
+     * Path worksheet pertama sesuai urutan tab di workbook.
+     */
+    async firstSheetPath(bytes, entries) {
+        const workbookXml = await this.readEntry(bytes, entries, 'xl/workbook.xml');
+        const relsXml = await this.readEntry(bytes, entries, 'xl/_rels/workbook.xml.rels');
+        if (workbookXml && relsXml) {
+            const sheet = this.children(this.parseXml(workbookXml), 'sheet')[0];
+            const relId = sheet && (sheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id') || sheet.getAttribute('r:id'));
+            const rel = this.children(this.parseXml(relsXml), 'Relationship').find(node => node.getAttribute('Id') === relId);
+            if (rel) {
+                const target = rel.getAttribute('Target');
+                return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+            }
+        }
+        return 'xl/worksheets/sheet1.xml';
+    },
+
+    /**
+     * @param {ArrayBuffer} buffer Isi file .xlsx
+     * @returns {Promise<string[][]>}
+     */
+    async read(buffer) {
+        if (!this.isSupported()) {
+            throw new Error('Browser ini belum mendukung import Excel. Simpan file sebagai CSV lalu import ulang.');
+        }
+
+        const bytes = new Uint8Array(buffer);
+        const entries = this.listEntries(bytes);
+
+        const sharedXml = await this.readEntry(bytes, entries, 'xl/sharedStrings.xml');
+        const shared = sharedXml
+            ? this.children(this.parseXml(sharedXml), 'si').map(si => this.textOf(si))
+            : [];
+
+        const sheetXml = await this.readEntry(bytes, entries, await this.firstSheetPath(bytes, entries));
+        if (!sheetXml) {
+            throw new Error('Sheet tidak ditemukan di file Excel');
+        }
+
+        const rows = [];
+        this.children(this.parseXml(sheetXml), 'row').forEach((rowNode, rowPosition) => {
+            const rowIndex = rowNode.hasAttribute('r') ? parseInt(rowNode.getAttribute('r'), 10) - 1 : rowPosition;
+            const row = [];
+            this.children(rowNode, 'c').forEach((cell, cellPosition) => {
+                const ref = cell.getAttribute('r');
+                const letters = ref ? ref.replace(/\d+/g, '') : '';
+                const colIndex = letters
+                    ? letters.split('').reduce((sum, char) => sum * 26 + char.charCodeAt(0) - 64, 0) - 1
+                    : cellPosition;
+
+                const type = cell.getAttribute('t');
+                const valueNode = this.children(cell, 'v')[0];
+                let value = valueNode ? valueNode.textContent : '';
+                if (type === 's') {
+                    value = shared[parseInt(value, 10)] || '';
+                } else if (type === 'inlineStr') {
+                    value = this.textOf(cell);
+                } else if (type === 'b') {
+                    value = value === '1' ? 'TRUE' : 'FALSE';
+                }
+
+                while (row.length < colIndex) row.push('');
+                row[colIndex] = value;
+            });
+            rows[rowIndex] = row;
+        });
+
+        // Baris yang tidak ada di XML = baris kosong
+        for (let i = 0; i < rows.length; i++) {
+            if (!rows[i]) rows[i] = [];
+        }
+        return rows;
+    }
+};
@@ -0,0 +1,196 @@
+/**
+ * XLSX Writer - membuat file .xlsx sederhana tanpa library tambahan
+ *
+ * File XLSX adalah arsip zip berisi beberapa file XML. Arsip ditulis tanpa kompresi
+ * (metode "stored") sehingga cukup butuh CRC32. Semua sel ditulis sebagai teks
+ * (inline string) agar nomor telepon dengan angka 0 di depan tidak berubah.
+ */
+
+const XlsxWriter = {
+    crcTable: null,
+
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    /**
+     * @param {{ name: string, content: string }[]} files
+     * @returns {Uint8Array} isi arsip zip
+     */
+    zip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = this.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true); // local file header
+            local.setUint16(4, 20, true); // versi minimal
+            local.setUint16(6, 0x0800, true); // nama file UTF-8
+            local.setUint16(8, 0, true); // stored
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            localParts.push(new Uint8Array(local.buffer), name, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // central directory header
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // end of central directory
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            output.set(part, position);
+            position += part.length;
+        });
+        return output;
+    },
+
+    escapeXml(value) {
+        return String(value == null ? '' : value)
+            // Karakter kontrol tidak valid di XML
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    sheetXml(rows) {
+        const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+        const cols = Array.from({ length: width }, (_, index) => {
+            const longest = rows.reduce((max, row) => Math.max(max, String(row[index] || '').length), 0);
+            const size = Math.min(Math.max(longest + 2, 10), 60);
+            return `<col min="${index + 1}" max="${index + 1}" width="${size}" customWidth="1"/>`;
+        }).join('');
+
+        const sheetRows = rows.map((row, rowIndex) => {
+            const style = rowIndex === 0 ? ' s="1"' : '';
+            const cells = row.map((value, colIndex) => {
+                const ref = `${columnToLetter(colIndex)}${rowIndex + 1}`;
+                return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${this.escapeXml(value)}</t></is></c>`;
+            }).join('');
+            return `<row r="${rowIndex + 1}">${cells}</row>`;
+        }).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+            (cols ? `<cols>${cols}</cols>` : '') +
+            `<sheetData>${sheetRows}</sheetData>` +
+            '</worksheet>';
+    },
+
+    /**
+     * @param {Array<Array<string>>} rows Baris pertama = header (ditulis tebal)
+     * @param {string} sheetName
+     * @returns {Blob}
+     */
+    build(rows, sheetName = 'Sheet1') {
+        // Nama sheet Excel maksimal 31 karakter dan tidak boleh berisi : \ / ? * [ ]
+        const safeName = this.escapeXml(sheetName.replace(/[:\\/?*[\]]/g, ' ').slice(0, 31));
+
+        const files = [
+            {
+                name: '[Content_Types].xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                    `<sheets><sheet name="${safeName}" sheetId="1" r:id="rId1"/></sheets>` +
+                    '</workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/styles.xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                    '</styleSheet>'
+            },
+            { name: 'xl/worksheets/sheet1.xml', content: this.sheetXml(rows) }
+        ];
+
+        return new Blob([this.zip(files)], {
+            type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        });
+    }
+};